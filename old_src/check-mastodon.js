@@ -0,0 +1,86 @@
+// Check the Mastodon source against a local stub server serving a saved timeline
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { fetchMastodonTimeline, listingLabels } = require('./src/mastodon-source');
+
+const timeline = fs.readFileSync(path.join(__dirname, 'fixtures', 'mastodon-timeline.json'), 'utf8');
+const TOKEN = 'stub-token';
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  requests.push(`${req.url} ${req.headers.authorization || '-'}`);
+  // Hashtags are case-insensitive on real instances
+  const pathname = new URL(req.url, 'http://localhost').pathname.toLowerCase();
+
+  if (pathname === '/api/v1/timelines/tag/rust') {
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(timeline);
+  } else if (pathname === '/api/v1/timelines/list/42') {
+    if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'The access token is invalid' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(JSON.parse(timeline).slice(0, 1)));
+  } else {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Record not found' }));
+  }
+});
+
+async function run() {
+  const instance = `http://127.0.0.1:${server.address().port}`;
+  console.log(`🐘 Stub Mastodon instance at ${instance}\n`);
+
+  // Hashtag timeline: card link, first plain link, boost, post without a link
+  const tagStories = await fetchMastodonTimeline({ instance, timeline: '#Rust', limit: 20 });
+  assert.deepStrictEqual(tagStories.map(story => story.url), [
+    'https://blog.example.com/async-rust',
+    'https://crates.io/crates/tokio',
+    'https://github.com/example/parser/releases/tag/v2.0.0'
+  ]);
+
+  const [carded, plain, boosted] = tagStories;
+  assert.strictEqual(carded.title, 'Understanding Async Rust');
+  assert.strictEqual(carded.points, 35);
+  assert.strictEqual(carded.comments, 4);
+  assert.strictEqual(carded.comments_url, 'https://fosstodon.org/@alice/111000000000000001');
+  assert.strictEqual(carded.listing, '#rust');
+
+  assert.strictEqual(plain.title, '@carol you might like this crate: crates.io/crates/tokio #rust');
+  assert.strictEqual(plain.points, 5);
+
+  // Boosts are credited to the original post
+  assert.strictEqual(boosted.id, 'https://ruby.social/@erin/110999999999999999');
+  assert.strictEqual(boosted.comments_url, 'https://ruby.social/@erin/110999999999999999');
+  assert.strictEqual(boosted.points, 100);
+  assert.strictEqual(boosted.comments, 7);
+  assert.strictEqual(boosted.author, 'erin@ruby.social');
+  assert.ok(requests[0].startsWith('/api/v1/timelines/tag/Rust?limit=20 -'));
+
+  // List timelines need a token and send it as a bearer token
+  await assert.rejects(fetchMastodonTimeline({ instance, timeline: 'list:42' }), /MASTODON_ACCESS_TOKEN/);
+  await assert.rejects(fetchMastodonTimeline({ instance, timeline: 'list:42', token: 'wrong' }), /401/);
+  const listStories = await fetchMastodonTimeline({ instance, timeline: 'list:42', token: TOKEN });
+  assert.deepStrictEqual(listStories.map(story => [story.url, story.listing]), [['https://blog.example.com/async-rust', 'list:42']]);
+  assert.strictEqual(listingLabels['list:42'], 'List 42');
+
+  await assert.rejects(fetchMastodonTimeline({ instance, timeline: 'not a timeline' }), /Invalid Mastodon timeline/);
+
+  tagStories.forEach(story => {
+    console.log(`${story.title}\n   🔗 ${story.url}\n   ⭐ ${story.points} | 💬 ${story.comments} | ${story.comments_url}\n`);
+  });
+  console.log('✅ Mastodon timelines parsed as expected');
+}
+
+server.listen(0, '127.0.0.1', () => {
+  run()
+    .catch(error => {
+      console.error('❌', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => server.close());
+});
@@ -0,0 +1,124 @@
+// Offline check of the Pinboard popular parser against a saved copy of
+// pinboard.in/popular and a hand-written page of edge cases.
+// Usage: node check-pinboard.js             check both fixtures
+//        node check-pinboard.js --capture   save the live page as the fixture
+//        node check-pinboard.js page.html   structural checks on any saved page
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { USER_AGENT } = require('./src/config');
+const { PINBOARD_POPULAR_URL, parsePinboardPopular, pinboardUrlHash } = require('./src/pinboard-source');
+
+const SAVED_PAGE = path.join(__dirname, 'fixtures', 'pinboard-popular.html');
+const SAVED_EXPECTED = path.join(__dirname, 'fixtures', 'pinboard-popular.json');
+const EDGE_CASES = path.join(__dirname, 'fixtures', 'pinboard-popular-edge-cases.html');
+const CAPTURE_LIMIT = 10;
+
+function printBookmarks(bookmarks) {
+  console.log(`📌 Parsed ${bookmarks.length} bookmarks\n`);
+  bookmarks.forEach((bookmark, index) => {
+    console.log(`${index + 1}. ${bookmark.title}`);
+    console.log(`   🔗 ${bookmark.url}`);
+    console.log(`   💾 ${bookmark.points} saves | id ${bookmark.id}`);
+    console.log(`   🏷️  ${bookmark.tags.join(', ') || '(no tags)'} | first saved by ${bookmark.first_saver || 'unknown'}\n`);
+  });
+}
+
+// What any real page should give, whatever its bookmarks are
+function checkStructure(bookmarks) {
+  assert.ok(bookmarks.length > 0, 'no bookmarks found');
+  bookmarks.forEach(bookmark => {
+    assert.match(bookmark.id, /^[0-9a-f]{32}$/);
+    assert.match(bookmark.url, /^https?:\/\//);
+  });
+}
+
+/**
+ * Save the live page, trimmed to its first few bookmarks, and what the parser
+ * reads from it. Check the .json by hand before committing the pair.
+ */
+async function capture() {
+  const response = await axios.get(PINBOARD_POPULAR_URL, {
+    headers: { 'User-Agent': USER_AGENT },
+    responseType: 'text',
+    timeout: 10000
+  });
+
+  const $ = cheerio.load(response.data);
+  $('script').remove();
+  $('.bookmark').slice(CAPTURE_LIMIT).remove();
+  const html = $.html();
+
+  const bookmarks = parsePinboardPopular(html);
+  checkStructure(bookmarks);
+  printBookmarks(bookmarks);
+
+  fs.writeFileSync(SAVED_PAGE, html);
+  fs.writeFileSync(SAVED_EXPECTED, JSON.stringify(bookmarks, null, 2) + '\n');
+  console.log(`✅ Saved ${path.relative(__dirname, SAVED_PAGE)}; review ${path.relative(__dirname, SAVED_EXPECTED)} before committing`);
+}
+
+function checkSavedPage() {
+  if (!fs.existsSync(SAVED_PAGE)) {
+    console.warn('⚠️ No saved copy of pinboard.in/popular: run `node check-pinboard.js --capture` and commit fixtures/pinboard-popular.html and .json');
+    return;
+  }
+
+  const bookmarks = parsePinboardPopular(fs.readFileSync(SAVED_PAGE, 'utf8'));
+  printBookmarks(bookmarks);
+  checkStructure(bookmarks);
+  assert.deepStrictEqual(bookmarks, JSON.parse(fs.readFileSync(SAVED_EXPECTED, 'utf8')));
+  console.log('✅ Saved page parsed as expected');
+}
+
+function checkEdgeCases() {
+  const bookmarks = parsePinboardPopular(fs.readFileSync(EDGE_CASES, 'utf8'));
+  assert.deepStrictEqual(bookmarks, [
+    {
+      id: '0f2a6c1e6d4b9b8f3c5a7e9d1b2c3d4e',
+      title: 'SQLite Is Enough & Then Some',
+      url: 'https://example.com/articles/sqlite-is-enough',
+      points: 1204,
+      comments: 0,
+      tags: ['sqlite', 'databases'],
+      first_saver: 'alice'
+    },
+    {
+      id: 'aabbccddeeff00112233445566778899',
+      title: 'The Typography of Road Signs',
+      url: 'https://blog.example.org/2024/05/typography',
+      points: 57,
+      comments: 0,
+      tags: ['design'],
+      first_saver: 'bob_w'
+    },
+    {
+      id: pinboardUrlHash('https://news.example.net/untagged'),
+      title: 'An untagged link without a count page',
+      url: 'https://news.example.net/untagged',
+      points: 9,
+      comments: 0,
+      tags: [],
+      first_saver: null
+    }
+  ]);
+  console.log('✅ Edge cases parsed as expected');
+}
+
+const [arg] = process.argv.slice(2);
+if (arg === '--capture') {
+  capture().catch(error => {
+    console.error('❌ Could not capture pinboard.in/popular:', error.message);
+    process.exitCode = 1;
+  });
+} else if (arg) {
+  const bookmarks = parsePinboardPopular(fs.readFileSync(arg, 'utf8'));
+  printBookmarks(bookmarks);
+  checkStructure(bookmarks);
+  console.log('✅ Page parsed');
+} else {
+  checkSavedPage();
+  checkEdgeCases();
+}
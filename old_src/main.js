@@ -13,7 +13,7 @@
  */
 
 // Core dependencies
-const { app } = require('electron');
+const { app, dialog } = require('electron');
 const path = require('path');
 const { Module } = require('module');
 
@@ -49,7 +49,14 @@ if (process.env.NODE_ENV === 'development') {
 // Application initialization
 app.whenReady().then(() => {
   console.log('🚀 App ready, initializing...');
-  initDatabase(() => {
+  initDatabase((error) => {
+    if (error) {
+      // No tray to show errors in yet, so say why before quitting
+      dialog.showErrorBox('BOB could not open its database', `${error.message}\n\nThe database was left at its last working version.`);
+      app.quit();
+      return;
+    }
+
     console.log('💾 Database initialized, creating tray...');
     createTray();
     // Initialize API server
@@ -0,0 +1,39 @@
+// Apply pending schema migrations to a clicks.db, or preview them with --dry-run
+// Usage: node migrate.js [--dry-run] [--data-dir path/to/dir | path/to/clicks.db]
+// Without a path it uses clicks.db in the data directory, the same one server.js uses.
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+
+const args = process.argv.slice(2);
+const dataDirFlag = args.indexOf('--data-dir');
+if (dataDirFlag !== -1 && args[dataDirFlag + 1]) {
+  process.env.DATA_DIR = args[dataDirFlag + 1];
+}
+
+const { getDataDir } = require('./src/config');
+const { runMigrations, logMigrationReport } = require('./src/migrations');
+
+const dryRun = args.includes('--dry-run');
+const dbPath = args.find((arg, index) => !arg.startsWith('--') && (dataDirFlag === -1 || index !== dataDirFlag + 1)) ||
+  path.join(getDataDir(), 'clicks.db');
+
+const db = new sqlite3.Database(dbPath, sqlite3.OPEN_READWRITE, (err) => {
+  if (err) {
+    console.error(`❌ Could not open ${dbPath}:`, err.message);
+    process.exit(1);
+  }
+
+  console.log(`🗄️ ${dryRun ? 'Previewing' : 'Applying'} migrations for ${dbPath}\n`);
+
+  runMigrations(db, { dryRun })
+    .then(report => {
+      logMigrationReport(report);
+      db.close();
+      process.exitCode = report.failed ? 1 : 0;
+    })
+    .catch(error => {
+      console.error('❌ Migration error:', error.message);
+      db.close();
+      process.exitCode = 1;
+    });
+});
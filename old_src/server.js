@@ -0,0 +1,111 @@
+/**
+ * BOB headless server - the API server and periodic source fetching in
+ * plain Node, without Electron (no tray, no windows)
+ *
+ * Usage: node server.js [--data-dir path/to/dir]
+ *        node server.js [--data-dir path/to/dir] --create-token <name>
+ *        node server.js [--data-dir path/to/dir] --list-tokens
+ *        node server.js [--data-dir path/to/dir] --revoke-token <id>
+ *
+ * The data directory holds clicks.db, settings.json and .env. It can also be
+ * set with DATA_DIR; by default it's where the tray app keeps its data.
+ * The token commands manage API tokens in settings.json and exit.
+ */
+
+const args = process.argv.slice(2);
+const dataDirFlag = args.indexOf('--data-dir');
+if (dataDirFlag !== -1 && args[dataDirFlag + 1]) {
+  process.env.DATA_DIR = args[dataDirFlag + 1];
+}
+
+// Loaded after DATA_DIR is set: config.js reads .env from the data directory
+const { getDataDir, FETCH_INTERVAL } = require('./src/config');
+const { initDatabase, trackLinkAppearance } = require('./src/database');
+const { initApiServer } = require('./src/api-server');
+const { fetchMenuStories } = require('./src/source-registry');
+const { listTokens, createToken, revokeToken, getBookmarklet } = require('./src/api-tokens');
+
+let refreshing = false;
+
+/**
+ * Fetch every source and record the stories the tray menu would show
+ */
+async function refreshSources() {
+  if (refreshing) {
+    console.log('⏳ Previous fetch still running, skipping');
+    return;
+  }
+
+  refreshing = true;
+  try {
+    console.log('⏰ Periodic source fetch');
+    const { sourceStories, ranks } = await fetchMenuStories();
+    sourceStories.forEach(({ source, stories, duplicates }) => {
+      [...stories, ...duplicates].forEach(story => trackLinkAppearance(story, source.id, ranks.get(story)));
+    });
+  } catch (error) {
+    console.error('Error fetching sources:', error);
+  } finally {
+    refreshing = false;
+  }
+}
+
+/**
+ * Run a token command from the command line
+ * @returns {boolean} Whether one was given
+ */
+function runTokenCommand() {
+  const value = flag => args[args.indexOf(flag) + 1];
+
+  if (args.includes('--create-token')) {
+    const created = createToken(value('--create-token'));
+    console.log(`\nToken for "${created.name}" (id ${created.id}), shown only once:\n\n  ${created.token}\n`);
+    console.log(`Bookmarklet:\n\n  ${getBookmarklet(created.token)}\n`);
+  } else if (args.includes('--list-tokens')) {
+    const tokens = listTokens();
+    tokens.forEach(token => {
+      console.log(`${token.id}  ${token.name}  created ${token.createdAt}  ${token.lastUsedAt ? `last used ${token.lastUsedAt}` : 'never used'}`);
+    });
+    if (tokens.length === 0) console.log('No API tokens, create one with --create-token <name>');
+  } else if (args.includes('--revoke-token')) {
+    if (!revokeToken(value('--revoke-token'))) {
+      console.error(`❌ No API token with id ${value('--revoke-token')}`);
+      process.exitCode = 1;
+    }
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Open the database, serve the API and fetch sources until stopped
+ */
+function startServer() {
+  console.log(`🚀 Starting headless server, data directory: ${getDataDir()}`);
+
+  initDatabase((error) => {
+    if (error) {
+      console.error('❌ Not starting: the database schema could not be brought up to date');
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('💾 Database initialized, starting API server...');
+    initApiServer();
+
+    refreshSources();
+    setInterval(refreshSources, FETCH_INTERVAL);
+
+    console.log(`✅ Server initialization complete (fetching every ${Math.round(FETCH_INTERVAL / 1000)}s)`);
+  });
+}
+
+try {
+  if (!runTokenCommand()) {
+    startServer();
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+}
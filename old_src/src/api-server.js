@@ -7,12 +7,113 @@ const cors = require('cors');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { API_PORT, HTTPS_PORT } = require('./config');
-const { saveArticle, getArticles, searchArticles, getArticleStats, trackSavedArticleClick, getDatabase } = require('./database');
+const { API_HOST, API_PORT, HTTPS_PORT } = require('./config');
+const { saveArticle, getArticles, getArticleStats, trackSavedArticleClick, getDatabase } = require('./database');
+const repository = require('./repository');
+const { getSetting } = require('./settings');
+const { verifyToken } = require('./api-tokens');
+const { spec, validateRequest } = require('./openapi');
 
 let apiServer = null;
 let httpsServer = null;
 
+// Other sources a merged link has also appeared on, as a comma separated list
+const ALSO_SEEN_ON = `(SELECT GROUP_CONCAT(DISTINCT ls.source) FROM link_sources ls 
+        WHERE ls.link_id = l.id AND ls.source != l.source) as also_seen_on`;
+
+// Points at each snapshot of the link's own story, oldest first, for the browser's sparklines
+const POINTS_HISTORY = `(SELECT GROUP_CONCAT(s.points, ',' ORDER BY s.seen_at, s.id) FROM story_snapshots s
+        WHERE s.story_key = l.story_key AND s.points IS NOT NULL) as points_history`;
+
+// Fields the REST resources have, for `?fields=` selection
+const STORY_FIELDS = ['id', 'story_key', 'source', 'title', 'url', 'canonical_url', 'comments_url', 'listing',
+  'points', 'comments', 'viewed', 'viewed_at', 'engaged', 'engaged_at', 'engagement_count', 'archive_url',
+  'first_seen_at', 'last_seen_at', 'times_appeared', 'clicks', 'tags', 'sources'];
+const CLICK_FIELDS = ['id', 'link_id', 'story_key', 'source', 'click_type', 'title', 'url', 'comments_url',
+  'archive_url', 'points', 'comments', 'clicked_at'];
+const TAG_FIELDS = ['tag', 'count', 'first_used_at', 'last_used_at'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * Respond with a repository error: 404 for unknown stories, 400 for bad
+ * list options, 500 for anything else
+ */
+function sendError(res, error) {
+  const status = { STORY_NOT_FOUND: 404, INVALID_QUERY: 400 }[error.code] || 500;
+  res.status(status).json({ error: error.message });
+}
+
+/**
+ * Parse a true/false query or body value; undefined when absent
+ */
+function parseBoolean(value, name) {
+  if (value === undefined || typeof value === 'boolean') return value;
+  if (['true', '1'].includes(value)) return true;
+  if (['false', '0'].includes(value)) return false;
+  throw badRequest(`${name} must be true or false`);
+}
+
+/**
+ * Keep only the comma-separated `fields` of each item (all of them when fields is empty)
+ */
+function selectFields(items, fields, allowed) {
+  if (!fields) return items;
+
+  const selected = String(fields).split(',').map(field => field.trim()).filter(field => field);
+  const unknown = selected.filter(field => !allowed.includes(field));
+  if (unknown.length > 0) {
+    throw badRequest(`Unknown field ${unknown.join(', ')}; use any of ${allowed.join(', ')}`);
+  }
+
+  return items.map(item => Object.fromEntries(selected.map(field => [field, item[field]])));
+}
+
+/**
+ * Tags from a request body (`{tags: [...]}` or `{tag}`) or a `?tags=a,b` query
+ */
+function requestedTags(req) {
+  const body = req.body || {};
+  const tags = body.tags !== undefined ? body.tags :
+    body.tag !== undefined ? [body.tag] :
+    req.query.tags ? String(req.query.tags).split(',') : [];
+  if (!Array.isArray(tags) || tags.length === 0 || tags.some(tag => typeof tag !== 'string')) {
+    throw badRequest('tags must be a non-empty array of strings');
+  }
+  return tags;
+}
+
+/**
+ * Whether a browser page from `origin` may call the API. Requests without an
+ * Origin header (curl, scripts) aren't subject to CORS at all. The tray app's
+ * windows are data: URLs, whose origin is 'null'; they still need a token.
+ */
+function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  if (origin === 'null') return Boolean(process.versions.electron);
+  return (getSetting('apiAllowedOrigins') || []).includes(origin);
+}
+
+/**
+ * Reject /api requests without a valid `Authorization: Bearer <token>` header
+ */
+function requireToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const client = match ? verifyToken(match[1]) : null;
+  
+  if (!client) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({ error: 'A valid API token is required (Authorization: Bearer <token>)' });
+  }
+  
+  req.apiClient = client;
+  next();
+}
+
 /**
  * Initialize Express API server for external integrations
  */
@@ -20,21 +121,31 @@ function initApiServer() {
   
   const server = express();
   
-  // More permissive CORS for development
+  // Only allowlisted origins may read responses; authentication is by token, not cookies
   server.use(cors({
-    origin: true,
-    credentials: true
+    origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+    allowedHeaders: ['Authorization', 'Content-Type']
   }));
   
   server.use(express.json({ limit: '10mb' }));
   
+  // The API description is public, like the pages that use it
+  server.get('/api/openapi.json', (req, res) => {
+    res.json(spec);
+  });
+  
+  server.use('/api', requireToken);
+  
+  // Reject parameters and bodies that don't match the OpenAPI document
+  server.use(validateRequest);
+  
   // TODO: Configure archives directory for serving archived files
   // server.use('/archives', express.static(archivesDir));
   
   // Add request logging for development
   if (process.env.NODE_ENV === 'development') {
     server.use((req, res, next) => {
-      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+      console.log(`${new Date().toISOString()} - ${req.method} ${req.path}${req.apiClient ? ` (${req.apiClient.name})` : ''}`);
       next();
     });
   }
@@ -49,12 +160,6 @@ function initApiServer() {
     res.json({ status: 'ok', timestamp: Date.now() });
   });
   
-  // Add error handling middleware
-  server.use((err, req, res, next) => {
-    console.error('API Error:', err);
-    res.status(500).json({ error: err.message });
-  });
-  
   // Save article endpoint - archiving functionality disabled until archivePageWithMonolith is implemented
   server.post('/api/articles', async (req, res) => {
     try {
@@ -109,9 +214,53 @@ function initApiServer() {
     });
   });
   
-  // Get individual article by ID
+  // Search articles: full text (q) and filters, with facet counts and cursor pagination
+  server.get('/api/articles/search', async (req, res) => {
+    try {
+      const wordLimit = name => {
+        if (req.query[name] === undefined) return undefined;
+        const value = parseInt(req.query[name]);
+        if (Number.isNaN(value) || value < 0) {
+          throw badRequest(`${name} must be a number of words`);
+        }
+        return value;
+      };
+
+      const { items, nextCursor, total, facets } = await repository.articles.find({
+        q: req.query.q,
+        domain: req.query.domain,
+        tag: req.query.tag,
+        since: req.query.since,
+        until: req.query.until,
+        minWords: wordLimit('min_words'),
+        maxWords: wordLimit('max_words'),
+        sort: req.query.sort,
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json({ results: items, nextCursor, total, facets });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+  
+  // Get article statistics
+  server.get('/api/articles/stats', (req, res) => {
+    getArticleStats((err, stats) => {
+      if (err) {
+        res.status(500).json({ error: err.message });
+      } else {
+        res.json(stats);
+      }
+    });
+  });
+
+  // Get individual article by ID. Registered after /search and /stats, which it would otherwise match
   server.get('/api/articles/:id', (req, res) => {
     const articleId = parseInt(req.params.id);
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid article id' });
+    }
     
     const db = getDatabase();
     if (!db) {
@@ -129,33 +278,6 @@ function initApiServer() {
     });
   });
   
-  // Search articles
-  server.get('/api/articles/search', (req, res) => {
-    const query = req.query.q;
-    if (!query) {
-      return res.status(400).json({ error: 'Query parameter "q" is required' });
-    }
-    
-    searchArticles(query, (err, results) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json({ results });
-      }
-    });
-  });
-  
-  // Get article statistics
-  server.get('/api/articles/stats', (req, res) => {
-    getArticleStats((err, stats) => {
-      if (err) {
-        res.status(500).json({ error: err.message });
-      } else {
-        res.json(stats);
-      }
-    });
-  });
-
   // Track article click
   server.post('/api/articles/:id/click', (req, res) => {
     const articleId = parseInt(req.params.id);
@@ -179,6 +301,7 @@ function initApiServer() {
     db.all(`SELECT 
       c.id,
       c.story_id,
+      c.story_key,
       c.title,
       c.url,
       c.points,
@@ -186,10 +309,10 @@ function initApiServer() {
       c.clicked_at,
       c.story_added_at,
       c.archive_url,
-      c.tags,
-      s.url as story_url
+      (SELECT GROUP_CONCAT(t.tag, ', ') FROM tags t WHERE t.link_id = c.link_id) as tags,
+      l.url as story_url
     FROM clicks c
-    LEFT JOIN stories s ON c.story_id = s.story_id
+    LEFT JOIN links l ON c.link_id = l.id
     ORDER BY c.clicked_at DESC`, [], (err, rows) => {
       if (err) {
         res.status(500).json({ error: err.message });
@@ -210,7 +333,9 @@ function initApiServer() {
       l.*,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements
+      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements,
+      ${ALSO_SEEN_ON},
+      ${POINTS_HISTORY}
     FROM links l 
     WHERE (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') = 0
     ORDER BY l.times_appeared ASC, RANDOM()
@@ -234,7 +359,9 @@ function initApiServer() {
       l.*,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements
+      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements,
+      ${ALSO_SEEN_ON},
+      ${POINTS_HISTORY}
     FROM links l 
     WHERE l.viewed = 0 OR l.viewed IS NULL
     ORDER BY RANDOM()
@@ -259,6 +386,8 @@ function initApiServer() {
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements,
+      ${ALSO_SEEN_ON},
+      ${POINTS_HISTORY},
       (SELECT MAX(c.clicked_at) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as last_clicked
     FROM links l 
     WHERE (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') > 0
@@ -283,7 +412,9 @@ function initApiServer() {
       l.*,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements
+      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements,
+      ${ALSO_SEEN_ON},
+      ${POINTS_HISTORY}
     FROM links l 
     ORDER BY l.last_seen_at DESC
     LIMIT 100`, [], (err, rows) => {
@@ -302,35 +433,17 @@ function initApiServer() {
       return res.status(500).json({ error: 'Database not initialized' });
     }
 
-    // Query to get all tags and their occurrence counts from the links table
+    // Every tag with the number of links carrying it
     db.all(`SELECT 
-      tags,
+      tag,
       COUNT(*) as count
-    FROM links 
-    WHERE tags IS NOT NULL AND tags != ''
-    GROUP BY tags
-    ORDER BY count DESC, tags ASC`, [], (err, rows) => {
+    FROM tags 
+    GROUP BY tag
+    ORDER BY count DESC, tag ASC`, [], (err, rows) => {
       if (err) {
         res.status(500).json({ error: err.message });
       } else {
-        // Parse comma-separated tags and count them
-        const tagCounts = {};
-        
-        rows.forEach(row => {
-          if (row.tags) {
-            const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-            tags.forEach(tag => {
-              tagCounts[tag] = (tagCounts[tag] || 0) + row.count;
-            });
-          }
-        });
-        
-        // Convert to array and sort by count descending
-        const sortedTags = Object.entries(tagCounts)
-          .map(([tag, count]) => ({ tag, count }))
-          .sort((a, b) => b.count - a.count);
-        
-        res.json({ tags: sortedTags });
+        res.json({ tags: rows });
       }
     });
   });
@@ -347,7 +460,9 @@ function initApiServer() {
       l.*,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) as total_clicks,
       (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') as article_clicks,
-      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements
+      (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'engage') as engagements,
+      ${ALSO_SEEN_ON},
+      ${POINTS_HISTORY}
     FROM links l 
     WHERE (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id AND c.click_type = 'article') = 0
     AND l.last_seen_at >= datetime('now', '-7 days')
@@ -361,6 +476,40 @@ function initApiServer() {
     });
   });
 
+  // Stories gaining points and comments fastest across all sources
+  server.get('/api/database/rising', async (req, res) => {
+    const hours = parseFloat(req.query.hours);
+    const limit = parseInt(req.query.limit) || 20;
+    if (req.query.hours !== undefined && !(hours > 0)) {
+      return res.status(400).json({ error: 'hours must be a positive number' });
+    }
+
+    try {
+      const stories = await repository.stories.rising({
+        window: hours > 0 ? hours * 60 * 60 * 1000 : undefined,
+        limit: Math.min(limit, 100)
+      });
+      res.json({ stories });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Points, comments and rank over time for every source a link appeared on
+  server.get('/api/database/links/:id/history', async (req, res) => {
+    const linkId = parseInt(req.params.id);
+    if (!linkId) {
+      return res.status(400).json({ error: 'Invalid link id' });
+    }
+
+    try {
+      const snapshots = await repository.stories.history(linkId);
+      res.json({ linkId, snapshots });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   // Track click from database browser
   server.post('/api/database/track-click', (req, res) => {
     const { url, storyId, source, clickType = 'article' } = req.body;
@@ -385,6 +534,145 @@ function initApiServer() {
     }
   });
 
+  // REST resources. Collections take `sort` (a field, `-field` for descending),
+  // `limit`, `cursor` (the previous page's nextCursor) and `fields` (comma-separated)
+
+  // Stories, filtered by source, tag, viewed or engaged
+  server.get('/api/stories', async (req, res) => {
+    try {
+      const { items, nextCursor } = await repository.stories.list({
+        source: req.query.source,
+        tag: req.query.tag,
+        viewed: parseBoolean(req.query.viewed, 'viewed'),
+        engaged: parseBoolean(req.query.engaged, 'engaged'),
+        sort: req.query.sort,
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json({ stories: selectFields(items, req.query.fields, STORY_FIELDS), nextCursor });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // A story by link id or story key (`hn:40123456`)
+  server.get('/api/stories/:id', async (req, res) => {
+    try {
+      const story = await repository.stories.get(req.params.id);
+      if (!story) {
+        return res.status(404).json({ error: 'Story not found' });
+      }
+      res.json(selectFields([story], req.query.fields, STORY_FIELDS)[0]);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Change a story's title, viewed, engaged or archive_url
+  server.patch('/api/stories/:id', async (req, res) => {
+    try {
+      const { title, viewed, engaged, archive_url } = req.body || {};
+      const unknown = Object.keys(req.body || {}).filter(field => !['title', 'viewed', 'engaged', 'archive_url'].includes(field));
+      if (unknown.length > 0) {
+        throw badRequest(`Cannot change ${unknown.join(', ')}; only title, viewed, engaged and archive_url`);
+      }
+      if (title !== undefined && (typeof title !== 'string' || !title.trim())) {
+        throw badRequest('title must be a non-empty string');
+      }
+      if (archive_url !== undefined && archive_url !== null && typeof archive_url !== 'string') {
+        throw badRequest('archive_url must be a string or null');
+      }
+
+      const story = await repository.stories.update(req.params.id, {
+        title: title !== undefined ? title.trim() : undefined,
+        viewed: parseBoolean(viewed, 'viewed'),
+        engaged: parseBoolean(engaged, 'engaged'),
+        archive_url: archive_url
+      });
+      res.json(story);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Delete a story with its tags, clicks and snapshots
+  server.delete('/api/stories/:id', async (req, res) => {
+    try {
+      if (!await repository.stories.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Story not found' });
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Add tags to a story: {"tags": ["rust", "databases"]}
+  server.post('/api/stories/:id/tags', async (req, res) => {
+    try {
+      const tags = requestedTags(req);
+      const story = await repository.stories.get(req.params.id);
+      if (!story) {
+        return res.status(404).json({ error: 'Story not found' });
+      }
+      res.json(await repository.tags.addToLink(story.id, tags));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Remove tags from a story, listed in the body like POST or as ?tags=a,b
+  server.delete('/api/stories/:id/tags', async (req, res) => {
+    try {
+      const tags = requestedTags(req);
+      const story = await repository.stories.get(req.params.id);
+      if (!story) {
+        return res.status(404).json({ error: 'Story not found' });
+      }
+      res.json(await repository.tags.removeFromLink(story.id, tags));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Tags with the number of stories carrying each, optionally matching ?q=
+  server.get('/api/tags', async (req, res) => {
+    try {
+      const { items, nextCursor } = await repository.tags.list({
+        q: req.query.q,
+        sort: req.query.sort,
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json({ tags: selectFields(items, req.query.fields, TAG_FIELDS), nextCursor });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Clicks, filtered by story (link id), source, type and a since/until date range
+  server.get('/api/clicks', async (req, res) => {
+    try {
+      const story = req.query.story !== undefined ? parseInt(req.query.story) : undefined;
+      if (Number.isNaN(story)) {
+        throw badRequest('story must be a link id');
+      }
+      const { items, nextCursor } = await repository.clicks.list({
+        story: story,
+        source: req.query.source,
+        type: req.query.type,
+        since: req.query.since,
+        until: req.query.until,
+        sort: req.query.sort,
+        cursor: req.query.cursor,
+        limit: req.query.limit
+      });
+      res.json({ clicks: selectFields(items, req.query.fields, CLICK_FIELDS), nextCursor });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
   // Database browser interface
   server.get('/database', (req, res) => {
     res.send(`
@@ -587,6 +875,16 @@ function initApiServer() {
             \`;
         }
 
+        // The page itself is public, the API behind it needs a token; remember it in this browser
+        function getToken() {
+            let token = localStorage.getItem('bobApiToken');
+            if (!token) {
+                token = (prompt('API token (create one with "🔑 API Tokens" in the tray menu, or node server.js --create-token <name>)') || '').trim();
+                if (token) localStorage.setItem('bobApiToken', token);
+            }
+            return token;
+        }
+
         function loadClicks() {
             const container = document.getElementById('clicksContainer');
             const content = document.getElementById('clicksContent');
@@ -594,14 +892,20 @@ function initApiServer() {
             container.style.display = 'block';
             content.innerHTML = '<div class="loading">Loading clicks from database...</div>';
             
-            fetch('/api/database/clicks')
-                .then(response => response.json())
+            fetch('/api/database/clicks', { headers: { 'Authorization': 'Bearer ' + getToken() } })
+                .then(response => {
+                    if (response.status === 401) {
+                        localStorage.removeItem('bobApiToken');
+                        throw new Error('Invalid API token');
+                    }
+                    return response.json();
+                })
                 .then(data => {
                     renderClicks(data.clicks);
                 })
                 .catch(err => {
                     console.error('Error loading clicks:', err);
-                    content.innerHTML = '<div class="loading">Error loading clicks from database</div>';
+                    content.innerHTML = '<div class="loading">Error loading clicks from database: ' + err.message + '</div>';
                 });
         }
     </script>
@@ -610,15 +914,352 @@ function initApiServer() {
     `);
   });
 
+  // Bookmarklet target. The bookmarklet opens this page in a popup instead of calling the
+  // API from the article's page, so it works on any site without adding it to the CORS
+  // allowlist. The token and article arrive in the URL fragment, which isn't sent to servers.
+  server.get('/save', (req, res) => {
+    res.send(`
+<!DOCTYPE html>
+<html>
+<head>
+    <title>📚 Save to BOB</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            margin: 0;
+            padding: 20px;
+            background: #f5f5f7;
+        }
+        .status {
+            background: white;
+            padding: 20px;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+            font-size: 14px;
+            line-height: 1.5;
+            color: #333;
+        }
+        .error {
+            border-left: 4px solid #dc3545;
+        }
+        .success {
+            border-left: 4px solid #28a745;
+        }
+    </style>
+</head>
+<body>
+    <div id="status" class="status">📚 Saving...</div>
+
+    <script>
+        const params = new URLSearchParams(location.hash.slice(1));
+        history.replaceState(null, '', location.pathname);
+
+        function showStatus(text, className) {
+            const status = document.getElementById('status');
+            status.textContent = text;
+            status.className = 'status ' + className;
+        }
+
+        async function saveArticle() {
+            if (!params.get('token') || !params.get('url')) {
+                showStatus('❌ Missing token or URL, recreate the bookmarklet from the tray menu', 'error');
+                return;
+            }
+
+            try {
+                const response = await fetch('/api/articles', {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': 'Bearer ' + params.get('token'),
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ url: params.get('url'), title: params.get('title') })
+                });
+                const result = await response.json();
+
+                if (!response.ok) {
+                    showStatus('❌ ' + (result.error || 'Could not save article'), 'error');
+                    return;
+                }
+
+                showStatus('✅ Saved "' + (params.get('title') || params.get('url')) + '"', 'success');
+                setTimeout(() => window.close(), 1500);
+            } catch (error) {
+                showStatus('❌ Network error: ' + error.message, 'error');
+            }
+        }
+
+        saveArticle();
+    </script>
+</body>
+</html>
+    `);
+  });
+
+  // API documentation, rendered in the page from /api/openapi.json
+  server.get('/docs', (req, res) => {
+    res.send(`
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>📖 API Documentation</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            max-width: 1000px;
+            margin: 0 auto;
+            padding: 20px;
+            background: #f5f5f5;
+            color: #333;
+        }
+        h1 {
+            margin-bottom: 5px;
+        }
+        .intro {
+            color: #555;
+            line-height: 1.5;
+        }
+        .intro code, td code {
+            background: #eee;
+            padding: 1px 4px;
+            border-radius: 3px;
+        }
+        h2 {
+            margin-top: 35px;
+            border-bottom: 2px solid #ddd;
+            padding-bottom: 5px;
+        }
+        .operation {
+            background: white;
+            margin: 10px 0;
+            border-radius: 8px;
+            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+        }
+        .operation summary {
+            padding: 12px 15px;
+            cursor: pointer;
+            display: flex;
+            align-items: center;
+            gap: 12px;
+        }
+        .method {
+            font-weight: bold;
+            font-size: 12px;
+            color: white;
+            padding: 4px 8px;
+            border-radius: 4px;
+            min-width: 50px;
+            text-align: center;
+        }
+        .method.get { background: #007AFF; }
+        .method.post { background: #28a745; }
+        .method.patch { background: #fd7e14; }
+        .method.delete { background: #dc3545; }
+        .path {
+            font-family: ui-monospace, Menlo, monospace;
+            font-weight: 600;
+        }
+        .summary-text {
+            color: #666;
+            flex: 1;
+        }
+        .public {
+            font-size: 11px;
+            color: #28a745;
+        }
+        .details {
+            padding: 0 15px 15px;
+            font-size: 14px;
+        }
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 10px 0;
+        }
+        th, td {
+            text-align: left;
+            padding: 6px 8px;
+            border-bottom: 1px solid #eee;
+            vertical-align: top;
+        }
+        th {
+            font-size: 12px;
+            color: #888;
+        }
+        pre {
+            background: #f8f9fa;
+            padding: 10px;
+            border-radius: 6px;
+            overflow-x: auto;
+            font-size: 12px;
+        }
+    </style>
+</head>
+<body>
+    <h1>📖 API Documentation</h1>
+    <div id="content">Loading...</div>
+
+    <script>
+        let spec = null;
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        }
+
+        // Inline a $ref, one level deep, so schemas read on their own
+        function resolve(schema) {
+            if (schema && schema.$ref) {
+                const [, section, kind, name] = schema.$ref.split('/');
+                return spec[section][kind][name];
+            }
+            return schema;
+        }
+
+        function describeSchema(schema) {
+            schema = resolve(schema) || {};
+            const type = [].concat(schema.type || 'any').join(' | ');
+            const limits = [];
+            if (schema.enum) limits.push('one of ' + schema.enum.join(', '));
+            if (schema.minimum !== undefined) limits.push('min ' + schema.minimum);
+            if (schema.maximum !== undefined) limits.push('max ' + schema.maximum);
+            if (schema.default !== undefined) limits.push('default ' + schema.default);
+            if (schema.pattern) limits.push('matches ' + schema.pattern);
+            return type + (limits.length ? ' (' + limits.join('; ') + ')' : '');
+        }
+
+        function renderParameters(parameters) {
+            if (!parameters || parameters.length === 0) return '';
+            return \`
+                <table>
+                    <tr><th>Parameter</th><th>In</th><th>Type</th><th>Description</th></tr>
+                    \${parameters.map(resolve).map(parameter => \`
+                        <tr>
+                            <td><code>\${escapeHtml(parameter.name)}</code>\${parameter.required ? ' *' : ''}</td>
+                            <td>\${parameter.in}</td>
+                            <td>\${escapeHtml(describeSchema(parameter.schema))}</td>
+                            <td>\${escapeHtml(parameter.description || '')}</td>
+                        </tr>
+                    \`).join('')}
+                </table>
+            \`;
+        }
+
+        function renderBody(requestBody) {
+            if (!requestBody) return '';
+            const schema = requestBody.content['application/json'].schema;
+            return \`
+                <div><strong>Body</strong>\${requestBody.required ? ' (required)' : ''}</div>
+                <pre>\${escapeHtml(JSON.stringify(schema, null, 2))}</pre>
+            \`;
+        }
+
+        function renderResponses(responses) {
+            return \`
+                <table>
+                    <tr><th>Status</th><th>Response</th></tr>
+                    \${Object.entries(responses).map(([status, response]) => {
+                        const resolved = resolve(response);
+                        const content = resolved.content && Object.values(resolved.content)[0];
+                        const schema = content && resolve(content.schema);
+                        return \`
+                            <tr>
+                                <td>\${status}</td>
+                                <td>
+                                    \${escapeHtml(resolved.description)}
+                                    \${schema && schema.properties ? \`<pre>\${escapeHtml(JSON.stringify(schema.properties, null, 2))}</pre>\` : ''}
+                                </td>
+                            </tr>
+                        \`;
+                    }).join('')}
+                </table>
+            \`;
+        }
+
+        function renderOperation(path, method, operation) {
+            const isPublic = operation.security && operation.security.length === 0;
+            return \`
+                <details class="operation">
+                    <summary>
+                        <span class="method \${method}">\${method.toUpperCase()}</span>
+                        <span class="path">\${escapeHtml(path)}</span>
+                        <span class="summary-text">\${escapeHtml(operation.summary || '')}</span>
+                        \${isPublic ? '<span class="public">no token</span>' : ''}
+                    </summary>
+                    <div class="details">
+                        \${operation.description ? \`<p>\${escapeHtml(operation.description)}</p>\` : ''}
+                        \${renderParameters(operation.parameters)}
+                        \${renderBody(operation.requestBody)}
+                        \${renderResponses(operation.responses)}
+                    </div>
+                </details>
+            \`;
+        }
+
+        function render() {
+            const groups = spec.tags.map(tag => ({ tag, operations: [] }));
+            Object.entries(spec.paths).forEach(([path, operations]) => {
+                Object.entries(operations).forEach(([method, operation]) => {
+                    const group = groups.find(group => group.tag.name === operation.tags[0]);
+                    group.operations.push(renderOperation(path, method, operation));
+                });
+            });
+
+            document.getElementById('content').innerHTML = \`
+                <p class="intro">\${escapeHtml(spec.info.description)}
+                    Send the token as <code>Authorization: Bearer &lt;token&gt;</code>.
+                    The machine-readable document is at <a href="/api/openapi.json">/api/openapi.json</a> (OpenAPI \${spec.openapi}).</p>
+                \${groups.map(group => \`
+                    <h2>\${escapeHtml(group.tag.name)}</h2>
+                    \${group.tag.description ? \`<p class="intro">\${escapeHtml(group.tag.description)}</p>\` : ''}
+                    \${group.operations.join('')}
+                \`).join('')}
+            \`;
+        }
+
+        fetch('/api/openapi.json')
+            .then(response => response.json())
+            .then(data => {
+                spec = data;
+                render();
+            })
+            .catch(err => {
+                document.getElementById('content').textContent = 'Error loading API description: ' + err.message;
+            });
+    </script>
+</body>
+</html>
+    `);
+  });
+
+  // Errors from the middleware above (such as a malformed JSON body) or a
+  // route that threw. Client errors keep their status and get the same shape
+  // as validation errors.
+  server.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status < 500) {
+      return res.status(status).json({
+        error: `Invalid request: ${err.message}`,
+        details: [{ in: 'body', name: '', message: err.message }]
+      });
+    }
+    
+    console.error('API Error:', err);
+    res.status(500).json({ error: err.message });
+  });
+
   // Note: Reading library functionality removed, will be revisited
   
   // Analytics functionality removed
   
   // Start HTTP server
   try {
-    apiServer = server.listen(API_PORT, '127.0.0.1', () => {
+    apiServer = server.listen(API_PORT, API_HOST, () => {
       if (process.env.NODE_ENV !== 'production') {
-        console.log(`✅ Reading Tracker API server running on http://127.0.0.1:${API_PORT}`);
+        console.log(`✅ Reading Tracker API server running on http://${API_HOST}:${API_PORT}`);
       }
     });
     
@@ -645,9 +1286,9 @@ function initApiServer() {
       
       httpsServer = https.createServer(httpsOptions, server);
       
-      httpsServer.listen(HTTPS_PORT, '127.0.0.1', () => {
+      httpsServer.listen(HTTPS_PORT, API_HOST, () => {
         if (process.env.NODE_ENV !== 'production') {
-          console.log(`✅ Reading Tracker HTTPS server running on https://127.0.0.1:${HTTPS_PORT}`);
+          console.log(`✅ Reading Tracker HTTPS server running on https://${API_HOST}:${HTTPS_PORT}`);
         }
       });
       
@@ -1,20 +1,37 @@
 /**
- * API data sources for fetching stories from HN, Reddit, and Pinboard
+ * API data sources for fetching stories from HN, Lobsters and Reddit
  */
 
 const axios = require('axios');
-const { BrowserWindow } = require('electron');
 const fs = require('fs');
 const path = require('path');
-const { CACHE_DURATION, USER_AGENT, DEFAULT_SUBREDDITS } = require('./config');
+const {
+  getDataDir,
+  CACHE_DURATION,
+  USER_AGENT,
+  HN_ITEM_CACHE_TTL,
+  HN_LIST_CACHE_TTL,
+  HN_FETCH_CONCURRENCY,
+  HN_REQUEST_TIMEOUT
+} = require('./config');
+const { getSetting } = require('./settings');
+const { getCachedHNItems, cacheHNItems } = require('./database');
+const { mapWithConcurrency } = require('./async-utils');
+
+const REDDIT_TOKEN_REFRESH_MARGIN = 5 * 60 * 1000; // refresh tokens 5 minutes before expiry
+const REDDIT_RATE_LIMIT_FLOOR = 10; // stop while this many requests remain in the window
 
 let redditToken = null;
+let redditTokenExpiresAt = 0;
+let redditRateLimitedUntil = 0;
 let redditCache = {};
+let hnListCache = {};
 
 /**
  * Prompt user for Reddit API credentials
  */
 async function promptForRedditCredentials() {
+  const { BrowserWindow } = require('electron');
   const credentials = await new Promise((resolve) => {
     const win = new BrowserWindow({
       width: 450,
@@ -223,10 +240,8 @@ async function promptForRedditCredentials() {
     });
   });
 
-  // Save to userData directory instead of app bundle
-  const { app } = require('electron');
-  const userDataPath = app.getPath('userData');
-  const envPath = path.join(userDataPath, '.env');
+  // Save to the data directory instead of app bundle
+  const envPath = path.join(getDataDir(), '.env');
   
   const envContent = `REDDIT_CLIENT_ID=${credentials.clientId}\nREDDIT_CLIENT_SECRET=${credentials.clientSecret}\n`;
   fs.writeFileSync(envPath, envContent);
@@ -243,6 +258,10 @@ async function promptForRedditCredentials() {
 async function getRedditToken() {
   try {
     if (!process.env.REDDIT_CLIENT_ID || !process.env.REDDIT_CLIENT_SECRET) {
+      // The headless server has no window to ask in; credentials come from .env there
+      if (!process.versions.electron) {
+        throw new Error('Reddit credentials not found (set REDDIT_CLIENT_ID and REDDIT_CLIENT_SECRET)');
+      }
       console.log('Reddit credentials not found, prompting user...');
       await promptForRedditCredentials();
     }
@@ -261,7 +280,9 @@ async function getRedditToken() {
     );
     
     redditToken = response.data.access_token;
-    console.log('✅ Reddit token obtained successfully');
+    // expires_in is in seconds; Reddit currently issues one-day tokens
+    redditTokenExpiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+    console.log(`✅ Reddit token obtained successfully (expires ${new Date(redditTokenExpiresAt).toISOString()})`);
   } catch (error) {
     console.error('❌ Error getting Reddit token:', error.response?.status, error.response?.statusText);
     // Clear invalid credentials so user will be prompted again
@@ -269,11 +290,10 @@ async function getRedditToken() {
       process.env.REDDIT_CLIENT_ID = '';
       process.env.REDDIT_CLIENT_SECRET = '';
       redditToken = null;
-      // Delete .env file from userData directory so user gets prompted again
+      redditTokenExpiresAt = 0;
+      // Delete .env file from the data directory so user gets prompted again
       try {
-        const { app } = require('electron');
-        const userDataPath = app.getPath('userData');
-        const envPath = path.join(userDataPath, '.env');
+        const envPath = path.join(getDataDir(), '.env');
         fs.unlinkSync(envPath);
         console.log('🗑️ Cleared invalid Reddit credentials');
       } catch (e) {
@@ -286,30 +306,170 @@ async function getRedditToken() {
 }
 
 /**
- * Fetch posts from a specific subreddit
+ * Get a Reddit token that stays valid for at least REDDIT_TOKEN_REFRESH_MARGIN
  */
-async function fetchSubredditPosts(subreddit) {
-  const now = Date.now();
-  
-  // Check cache
-  if (redditCache[subreddit] && (now - redditCache[subreddit].timestamp) < CACHE_DURATION) {
-    return redditCache[subreddit].posts;
+async function ensureRedditToken() {
+  if (!redditToken || Date.now() >= redditTokenExpiresAt - REDDIT_TOKEN_REFRESH_MARGIN) {
+    await getRedditToken();
   }
+  return redditToken;
+}
+
+/**
+ * Record Reddit's rate-limit headers and back off before the quota runs out
+ *
+ * `x-ratelimit-remaining` is the requests left in the current window and
+ * `x-ratelimit-reset` the seconds until the window resets.
+ */
+function updateRedditRateLimit(headers = {}) {
+  const remaining = parseFloat(headers['x-ratelimit-remaining']);
+  const reset = parseInt(headers['x-ratelimit-reset']);
   
-  if (!redditToken) {
-    await getRedditToken();
+  if (!isNaN(remaining) && !isNaN(reset) && remaining <= REDDIT_RATE_LIMIT_FLOOR) {
+    redditRateLimitedUntil = Date.now() + reset * 1000;
+    console.warn(`⏳ Reddit rate limit nearly exhausted (${remaining} left), pausing for ${reset}s`);
   }
+}
+
+/**
+ * GET an OAuth Reddit endpoint, refreshing the token and retrying once on 401
+ */
+async function redditGet(url, params, isRetry = false) {
+  const token = await ensureRedditToken();
   
   try {
-    const response = await axios.get(`https://oauth.reddit.com/r/${subreddit}/hot`, {
+    const response = await axios.get(url, {
       headers: {
-        'Authorization': `Bearer ${redditToken}`,
+        'Authorization': `Bearer ${token}`,
         'User-Agent': USER_AGENT
       },
-      params: {
-        limit: 10
-      }
+      params: params
     });
+    updateRedditRateLimit(response.headers);
+    return response;
+  } catch (error) {
+    const status = error.response?.status;
+    updateRedditRateLimit(error.response?.headers);
+    
+    if (status === 401 && !isRetry) {
+      console.log('🔄 Reddit token rejected, refreshing and retrying');
+      redditToken = null;
+      return redditGet(url, params, true);
+    }
+    
+    if (status === 429) {
+      const retryAfter = parseInt(error.response.headers['retry-after']) ||
+        parseInt(error.response.headers['x-ratelimit-reset']) || 60;
+      redditRateLimitedUntil = Date.now() + retryAfter * 1000;
+      console.warn(`⏳ Reddit returned 429, backing off for ${retryAfter}s`);
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Reddit listing options accepted in subreddit settings
+ */
+const REDDIT_SORTS = ['hot', 'new', 'top', 'rising'];
+const REDDIT_TIME_WINDOWS = ['hour', 'day', 'week', 'month', 'year', 'all'];
+const REDDIT_MIX_SIZE = 15;
+
+/**
+ * Fill in defaults for a subreddit setting and drop invalid values
+ * @param {Object|string} entry - `{name, sort, time, limit, minScore, weight, minSlots}` or a bare subreddit name
+ */
+function normalizeSubredditConfig(entry) {
+  const config = typeof entry === 'string' ? { name: entry } : { ...entry };
+  
+  return {
+    name: String(config.name || '').replace(/^\/?r\//, '').trim(),
+    sort: REDDIT_SORTS.includes(config.sort) ? config.sort : 'hot',
+    time: REDDIT_TIME_WINDOWS.includes(config.time) ? config.time : 'day',
+    limit: Math.min(Math.max(parseInt(config.limit) || 10, 1), 100),
+    minScore: parseInt(config.minScore) || 0,
+    // Share of the mixed Reddit section relative to other subreddits
+    weight: parseFloat(config.weight) > 0 ? parseFloat(config.weight) : 1,
+    // Slots reserved for this subreddit before weights are applied
+    minSlots: config.minSlots === undefined ? 1 : Math.max(parseInt(config.minSlots) || 0, 0)
+  };
+}
+
+/**
+ * Parse one line of the subreddit editor: `name [sort] [time] [limit=N] [min=N] [weight=N] [slots=N]`
+ */
+function parseSubredditLine(line) {
+  const [name, ...options] = line.trim().split(/\s+/);
+  const config = { name };
+  
+  options.forEach(option => {
+    const [key, value] = option.split('=');
+    if (REDDIT_SORTS.includes(key)) config.sort = key;
+    else if (REDDIT_TIME_WINDOWS.includes(key)) config.time = key;
+    else if (key === 'limit') config.limit = value;
+    else if (key === 'min') config.minScore = value;
+    else if (key === 'weight') config.weight = value;
+    else if (key === 'slots') config.minSlots = value;
+  });
+  
+  return normalizeSubredditConfig(config);
+}
+
+/**
+ * Format a subreddit setting as an editor line (inverse of parseSubredditLine)
+ */
+function formatSubredditLine(entry) {
+  const config = normalizeSubredditConfig(entry);
+  const parts = [config.name, config.sort];
+  
+  if (config.sort === 'top') parts.push(config.time);
+  parts.push(`limit=${config.limit}`);
+  if (config.minScore) parts.push(`min=${config.minScore}`);
+  if (config.weight !== 1) parts.push(`weight=${config.weight}`);
+  if (config.minSlots !== 1) parts.push(`slots=${config.minSlots}`);
+  
+  return parts.join(' ');
+}
+
+/**
+ * Configured subreddits from settings, normalized
+ */
+function getSubredditConfigs() {
+  return (getSetting('subreddits') || [])
+    .map(normalizeSubredditConfig)
+    .filter(config => config.name);
+}
+
+/**
+ * Fetch posts from a specific subreddit
+ * @param {Object|string} subredditConfig - Subreddit setting (see normalizeSubredditConfig)
+ */
+async function fetchSubredditPosts(subredditConfig) {
+  const { name, sort, time, limit, minScore } = normalizeSubredditConfig(subredditConfig);
+  const cacheKey = `${name}/${sort}/${sort === 'top' ? time : ''}/${limit}`;
+  const now = Date.now();
+  
+  const cached = redditCache[cacheKey];
+  const cachedPosts = cached ? cached.posts.filter(post => post.points >= minScore) : [];
+  
+  // Check cache
+  if (cached && (now - cached.timestamp) < CACHE_DURATION) {
+    return cachedPosts;
+  }
+  
+  // Serve stale posts while backing off from Reddit's rate limit
+  if (now < redditRateLimitedUntil) {
+    console.log(`⏳ Skipping r/${name} until ${new Date(redditRateLimitedUntil).toISOString()} (rate limited)`);
+    return cachedPosts;
+  }
+  
+  try {
+    const params = { limit };
+    if (sort === 'top') {
+      params.t = time;
+    }
+    
+    const response = await redditGet(`https://oauth.reddit.com/r/${name}/${sort}`, params);
     
     const posts = response.data.data.children.map(child => ({
       id: child.data.id,
@@ -319,40 +479,115 @@ async function fetchSubredditPosts(subreddit) {
       url: `https://old.reddit.com${child.data.permalink}`,
       subreddit: child.data.subreddit,
       is_self: child.data.is_self,
-      actual_url: child.data.url
+      actual_url: child.data.url,
+      listing: sort
     }));
     
-    // Cache the results
-    redditCache[subreddit] = {
+    // Cache the results (unfiltered, so changing minScore doesn't need a refetch)
+    redditCache[cacheKey] = {
       posts: posts,
       timestamp: now
     };
     
-    return posts;
+    return posts.filter(post => post.points >= minScore);
     
   } catch (error) {
-    console.error(`Error fetching r/${subreddit}:`, error);
-    return [];
+    console.error(`Error fetching r/${name}/${sort}:`, error.response?.status || error.message);
+    return cachedPosts;
+  }
+}
+
+/**
+ * Pick the next entry by smooth weighted round-robin
+ *
+ * Every entry gains its weight each round and the leader pays back the total,
+ * so picks are spread evenly in proportion to weight. Ties go to the earlier
+ * entry, which keeps the result deterministic.
+ */
+function nextWeightedPick(entries) {
+  const eligible = entries.filter(entry => entry.remaining > 0);
+  if (eligible.length === 0) return null;
+  
+  const totalWeight = eligible.reduce((sum, entry) => sum + entry.weight, 0);
+  let best = null;
+  eligible.forEach(entry => {
+    entry.current += entry.weight;
+    if (!best || entry.current > best.current) {
+      best = entry;
+    }
+  });
+  best.current -= totalWeight;
+  best.remaining--;
+  return best;
+}
+
+/**
+ * Mix subreddit listings into one deterministic list
+ *
+ * Each subreddit first gets its guaranteed `minSlots` (in configuration
+ * order), the remaining slots are shared out by `weight`, and the final
+ * order interleaves subreddits in proportion to the slots they received.
+ * The same listings always produce the same mix.
+ * @param {Array<{config: Object, posts: Array}>} listings - Normalized config and posts per subreddit
+ * @param {number} total - Number of posts to return
+ */
+function mixRedditPosts(listings, total) {
+  const slots = listings.map(() => 0);
+  let assigned = 0;
+  
+  // Guaranteed slots first
+  listings.forEach(({ config, posts }, index) => {
+    const guaranteed = Math.min(config.minSlots, posts.length, total - assigned);
+    slots[index] = guaranteed;
+    assigned += guaranteed;
+  });
+  
+  // Remaining slots by weight
+  const weighted = listings.map(({ config, posts }, index) => ({
+    index,
+    weight: config.weight,
+    remaining: posts.length - slots[index],
+    current: 0
+  }));
+  while (assigned < total) {
+    const pick = nextWeightedPick(weighted);
+    if (!pick) break;
+    slots[pick.index]++;
+    assigned++;
+  }
+  
+  // Interleave in proportion to the slots each subreddit received
+  const order = listings.map((listing, index) => ({
+    index,
+    weight: slots[index],
+    remaining: slots[index],
+    current: 0
+  }));
+  const taken = listings.map(() => 0);
+  const mixed = [];
+  let pick;
+  while ((pick = nextWeightedPick(order))) {
+    mixed.push(listings[pick.index].posts[taken[pick.index]++]);
   }
+  
+  return mixed;
 }
 
 /**
  * Fetch stories from configured Reddit subreddits
  */
 async function fetchRedditStories() {
-  const subreddits = DEFAULT_SUBREDDITS;
+  const subreddits = getSubredditConfigs();
   
   try {
-    const allPosts = [];
+    const listings = [];
     
     for (const subreddit of subreddits) {
       const posts = await fetchSubredditPosts(subreddit);
-      allPosts.push(...posts);
+      listings.push({ config: subreddit, posts });
     }
     
-    // Always shuffle for fresh selection each time menu opens
-    const shuffled = allPosts.sort(() => 0.5 - Math.random());
-    return shuffled.slice(0, 15);
+    return mixRedditPosts(listings, REDDIT_MIX_SIZE);
       
   } catch (error) {
     console.error('Error fetching Reddit stories:', error);
@@ -361,76 +596,180 @@ async function fetchRedditStories() {
 }
 
 /**
- * Fetch popular bookmarks from Pinboard
+ * Hacker News lists and the API endpoint each one is read from
  */
-async function fetchPinboardPopular() {
+const HN_LISTS = {
+  top: { label: 'Top', endpoint: 'topstories' },
+  best: { label: 'Best', endpoint: 'beststories' },
+  new: { label: 'New', endpoint: 'newstories' },
+  ask: { label: 'Ask HN', endpoint: 'askstories' },
+  show: { label: 'Show HN', endpoint: 'showstories' },
+  job: { label: 'Jobs', endpoint: 'jobstories' }
+};
+
+/**
+ * Fetch the story ids on a Hacker News list, reusing them for HN_LIST_CACHE_TTL
+ */
+async function fetchHNListIds(list) {
+  const now = Date.now();
+  const cached = hnListCache[list];
+  
+  if (cached && (now - cached.timestamp) < HN_LIST_CACHE_TTL) {
+    return cached.ids;
+  }
+  
+  const { endpoint } = HN_LISTS[list];
+  let ids;
   try {
-    const response = await axios.get('https://pinboard.in/popular/', {
-      headers: {
-        'User-Agent': USER_AGENT
-      }
+    const listResponse = await axios.get(`https://hacker-news.firebaseio.com/v0/${endpoint}.json`, {
+      timeout: HN_REQUEST_TIMEOUT
     });
-    
-    const html = response.data;
-    const bookmarks = [];
-    
-    // Updated pattern for new Pinboard HTML structure
-    // Format: <a class="bookmark_title" href="URL">TITLE</a> ... <a class="bookmark_count">COUNT</a>
-    const pattern = /<a[^>]+href="([^"]+)"[^>]*>([^<]+)<\/a>.*?>(\d+)<\/a>/g;
-    
-    let match;
-    while ((match = pattern.exec(html)) !== null && bookmarks.length < 15) {
-      bookmarks.push({
-        id: `pinboard_${bookmarks.length}`,
-        title: match[2].trim(),
-        url: match[1],
-        points: parseInt(match[3]) || 0,
-        comments: 0
+    ids = listResponse.data.slice(0, 20); // Fetch 20 to ensure we have enough
+  } catch (error) {
+    if (cached) {
+      console.warn(`HN ${list} list fetch failed, reusing previous list:`, error.message);
+      return cached.ids;
+    }
+    throw error;
+  }
+  
+  hnListCache[list] = {
+    ids: ids,
+    timestamp: now
+  };
+  
+  return ids;
+}
+
+/**
+ * Fetch Hacker News items, serving fresh ones from the SQLite cache
+ *
+ * Missing or expired items are fetched with bounded concurrency and a
+ * per-request timeout. If a refresh fails the stale cached copy is used,
+ * so one slow item never holds up the menu.
+ */
+async function fetchHNItems(ids) {
+  const cachedRows = await new Promise((resolve) => {
+    getCachedHNItems(ids, (err, rows) => resolve(err ? [] : rows));
+  });
+  
+  const now = Date.now();
+  const cached = new Map(cachedRows.map(row => [row.item.id, row]));
+  const staleIds = ids.filter(id => !cached.has(id) || (now - cached.get(id).fetchedAt) >= HN_ITEM_CACHE_TTL);
+  
+  const fetched = await mapWithConcurrency(staleIds, HN_FETCH_CONCURRENCY, async (id) => {
+    try {
+      const itemResponse = await axios.get(`https://hacker-news.firebaseio.com/v0/item/${id}.json`, {
+        timeout: HN_REQUEST_TIMEOUT
       });
+      return itemResponse.data;
+    } catch (error) {
+      console.warn(`HN item ${id} fetch failed (${error.code || error.message}), using cached copy if any`);
+      return null;
     }
-    
-    // If regex parsing fails, return empty array rather than hardcoded fallback data
-    if (bookmarks.length === 0) {
-      console.warn('Pinboard parsing failed - no bookmarks found');
+  });
+  
+  // Deleted items come back as null
+  const freshItems = fetched.filter(item => item);
+  cacheHNItems(freshItems, HN_ITEM_CACHE_TTL);
+  
+  const fresh = new Map(freshItems.map(item => [item.id, item]));
+  console.log(`HN items: ${ids.length - staleIds.length} cached, ${freshItems.length}/${staleIds.length} fetched`);
+  
+  return ids.map(id => fresh.get(id) || (cached.has(id) ? cached.get(id).item : null));
+}
+
+/**
+ * Fetch stories from one Hacker News list
+ */
+async function fetchHNList(list) {
+  const storyIds = await fetchHNListIds(list);
+  const items = await fetchHNItems(storyIds);
+  
+  return items
+    .filter(story => story)
+    .map(story => ({
+      ...story,
+      points: story.score || 0,
+      comments: story.descendants || 0,
+      listing: list
+    }));
+}
+
+/**
+ * Hacker News lists to fetch: the known ones from the setting, or `top` when none are
+ */
+function getEnabledHNLists(lists = getSetting('hnLists')) {
+  const enabledLists = (lists || []).filter(list => HN_LISTS[list]);
+  return enabledLists.length > 0 ? enabledLists : ['top'];
+}
+
+/**
+ * Fetch stories from the enabled Hacker News lists (top, best, new, ask, show, job)
+ */
+async function fetchHNStories(lists = getSetting('hnLists')) {
+  const enabledLists = getEnabledHNLists(lists);
+  
+  const seen = new Set();
+  const stories = [];
+  
+  for (const list of enabledLists) {
+    try {
+      const listStories = await fetchHNList(list);
+      
+      // A story can be on several lists at once; keep it under the first enabled one
+      listStories.forEach(story => {
+        if (story && !seen.has(story.id)) {
+          seen.add(story.id);
+          stories.push(story);
+        }
+      });
+    } catch (error) {
+      console.error(`Error fetching HN ${list} stories:`, error);
     }
-    
-    return bookmarks;
-    
-  } catch (error) {
-    console.error('Error fetching Pinboard popular:', error);
-    return [];
   }
+  
+  return stories;
 }
 
 /**
- * Fetch top stories from Hacker News API
+ * Fetch stories from a Lobsters listing (hottest or newest)
  */
-async function fetchHNStories() {
+async function fetchLobstersStories(listing = getSetting('lobstersListing')) {
+  const listingName = listing === 'newest' ? 'newest' : 'hottest';
+  
   try {
-    const topStoriesResponse = await axios.get('https://hacker-news.firebaseio.com/v0/topstories.json');
-    const topStoryIds = topStoriesResponse.data.slice(0, 20); // Fetch 20 to ensure we have enough
-    
-    const stories = await Promise.all(
-      topStoryIds.map(async (id) => {
-        const storyResponse = await axios.get(`https://hacker-news.firebaseio.com/v0/item/${id}.json`);
-        const story = storyResponse.data;
-        return {
-          ...story,
-          points: story.score || 0,
-          comments: story.descendants || 0
-        };
-      })
-    );
+    const response = await axios.get(`https://lobste.rs/${listingName}.json`, {
+      headers: {
+        'User-Agent': USER_AGENT
+      }
+    });
     
-    return stories;
+    return response.data.map(story => ({
+      id: story.short_id,
+      title: story.title,
+      // Text posts have an empty url; the discussion page is the story
+      url: story.url || null,
+      points: story.score || 0,
+      comments: story.comment_count || 0,
+      comments_url: story.comments_url || story.short_id_url,
+      tags: story.tags || [],
+      listing: listingName
+    }));
   } catch (error) {
-    console.error('Error fetching HN stories:', error);
+    console.error('Error fetching Lobsters stories:', error);
     return [];
   }
 }
 
 module.exports = {
+  HN_LISTS,
+  getEnabledHNLists,
   fetchHNStories,
+  fetchLobstersStories,
   fetchRedditStories,
-  fetchPinboardPopular
+  mixRedditPosts,
+  getSubredditConfigs,
+  parseSubredditLine,
+  formatSubredditLine
 };
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * API tokens for the HTTP API. Each client (bookmarklet, script, another
+ * machine) gets its own token so it can be revoked on its own. Only a hash
+ * of each token is kept in settings.json; the token itself is shown once.
+ */
+
+const crypto = require('crypto');
+const { API_HOST, API_PORT } = require('./config');
+const { getSetting, updateSettings } = require('./settings');
+
+const TOKEN_PREFIX = 'bob_';
+
+// Token for the tray app's own windows, regenerated on every launch and never saved
+let appToken = null;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Saved tokens, without their hashes: `{id, name, createdAt, lastUsedAt}`
+ */
+function listTokens() {
+  return (getSetting('apiTokens') || []).map(({ hash, ...token }) => token);
+}
+
+/**
+ * Create a token for a named client
+ * @returns {Object} `{id, name, createdAt, token}` - the only time the token is available
+ */
+function createToken(name) {
+  const label = String(name || '').trim();
+  if (!label) {
+    throw new Error('Token name is required');
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  const record = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name: label,
+    hash: hashToken(token),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null
+  };
+
+  updateSettings({ apiTokens: [...(getSetting('apiTokens') || []), record] });
+  console.log(`🔑 Created API token "${label}" (${record.id})`);
+
+  return { id: record.id, name: record.name, createdAt: record.createdAt, token };
+}
+
+/**
+ * Revoke a token by id
+ * @returns {boolean} Whether a token was removed
+ */
+function revokeToken(id) {
+  const tokens = getSetting('apiTokens') || [];
+  const remaining = tokens.filter(token => token.id !== id);
+  if (remaining.length === tokens.length) {
+    return false;
+  }
+
+  updateSettings({ apiTokens: remaining });
+  console.log(`🔑 Revoked API token ${id}`);
+  return true;
+}
+
+/**
+ * Token for the tray app's windows (Database Browser, Article Browser)
+ */
+function getAppToken() {
+  if (!appToken) {
+    appToken = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+  }
+  return appToken;
+}
+
+/**
+ * Look up the client a token belongs to
+ * @returns {Object|null} `{id, name}`, or null for an unknown token
+ */
+function verifyToken(token) {
+  if (!token || !token.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  if (appToken && token.length === appToken.length &&
+      crypto.timingSafeEqual(Buffer.from(token), Buffer.from(appToken))) {
+    return { id: 'app', name: 'BOB app' };
+  }
+
+  const hash = hashToken(token);
+  const tokens = getSetting('apiTokens') || [];
+  const record = tokens.find(saved => saved.hash === hash);
+  if (!record) {
+    return null;
+  }
+
+  // Recording every request would rewrite settings.json constantly, once a day is enough
+  const today = new Date().toISOString().slice(0, 10);
+  if (!record.lastUsedAt || !record.lastUsedAt.startsWith(today)) {
+    updateSettings({
+      apiTokens: tokens.map(saved => saved.id === record.id ? { ...saved, lastUsedAt: new Date().toISOString() } : saved)
+    });
+  }
+
+  return { id: record.id, name: record.name };
+}
+
+/**
+ * Bookmarklet that sends the current page to the API's /save page with a token
+ */
+function getBookmarklet(token) {
+  const host = API_HOST === '0.0.0.0' ? '127.0.0.1' : API_HOST;
+  const baseUrl = `http://${host}:${API_PORT}`;
+  return `javascript:(()=>{window.open('${baseUrl}/save#'+new URLSearchParams({token:'${token}',url:location.href,title:document.title}),'bob-save','width=420,height=220')})()`;
+}
+
+module.exports = {
+  listTokens,
+  createToken,
+  revokeToken,
+  getAppToken,
+  verifyToken,
+  getBookmarklet
+};
@@ -0,0 +1,152 @@
+/**
+ * arXiv new submissions for configured categories, via the Atom export API
+ * (https://info.arxiv.org/help/api/user-manual.html)
+ */
+
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const { USER_AGENT, ARXIV_MAX_RESULTS } = require('./config');
+const { getSetting } = require('./settings');
+const { saveArticleIfNew } = require('./database');
+
+const ARXIV_API_URL = 'https://export.arxiv.org/api/query';
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text'
+});
+
+/**
+ * Wrap single elements in an array (the XML parser collapses one-item lists)
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Collapse the hard-wrapped whitespace arXiv puts in titles and abstracts
+ */
+function cleanText(value) {
+  const text = typeof value === 'object' && value !== null ? value['#text'] : value;
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Category names look like `cs.LG`, `math.AG` or `hep-th`
+ */
+function isValidCategory(category) {
+  return /^[a-z-]+(\.[A-Za-z-]+)?$/.test(category);
+}
+
+/**
+ * Configured categories, validated
+ */
+function getArxivCategories() {
+  return (getSetting('arxivCategories') || [])
+    .map(category => category.trim())
+    .filter(isValidCategory);
+}
+
+/**
+ * Parse an Atom export API response into papers
+ * @param {string} xml - Raw response body
+ * @param {Array<string>} [categories] - Configured categories, used to pick each paper's listing
+ */
+function parseArxivFeed(xml, categories = []) {
+  const doc = xmlParser.parse(xml);
+  const entries = toArray(doc.feed && doc.feed.entry);
+
+  return entries.map(entry => {
+    // <id> is the versioned abs URL, e.g. http://arxiv.org/abs/2401.01234v2
+    const idMatch = /abs\/(.+?)(v\d+)?$/.exec(cleanText(entry.id));
+    if (!idMatch) return null;
+    const arxivId = idMatch[1];
+
+    const entryCategories = toArray(entry.category).map(category => category['@_term']).filter(Boolean);
+    const primaryCategory = entry['arxiv:primary_category'] ? entry['arxiv:primary_category']['@_term'] : entryCategories[0];
+
+    return {
+      id: arxivId,
+      title: cleanText(entry.title),
+      abstract: cleanText(entry.summary),
+      authors: toArray(entry.author).map(author => cleanText(author.name)).filter(Boolean),
+      categories: entryCategories,
+      // Unversioned, so a revised paper keeps its article row and link
+      url: `https://arxiv.org/pdf/${arxivId}`,
+      comments_url: `https://arxiv.org/abs/${arxivId}`,
+      published: cleanText(entry.published),
+      listing: categories.find(category => entryCategories.includes(category)) || primaryCategory || null
+    };
+  }).filter(paper => paper);
+}
+
+/**
+ * Store the abstract in the articles table so it shows up in full-text search
+ */
+function saveAbstract(paper) {
+  const wordCount = paper.abstract.split(' ').filter(Boolean).length;
+
+  saveArticleIfNew({
+    url: paper.url,
+    title: paper.title,
+    author: paper.authors.join(', ') || null,
+    publishDate: paper.published || null,
+    textContent: paper.abstract,
+    wordCount: wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / 200)),
+    tags: paper.categories.join(','),
+    description: paper.abstract
+  });
+}
+
+/**
+ * Fetch the newest submissions in the configured categories
+ */
+async function fetchArxivStories() {
+  const categories = getArxivCategories();
+  if (categories.length === 0) {
+    return [];
+  }
+
+  try {
+    const response = await axios.get(ARXIV_API_URL, {
+      params: {
+        search_query: categories.map(category => `cat:${category}`).join(' OR '),
+        sortBy: 'submittedDate',
+        sortOrder: 'descending',
+        max_results: ARXIV_MAX_RESULTS
+      },
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      responseType: 'text',
+      timeout: 20000
+    });
+
+    const papers = parseArxivFeed(response.data, categories);
+    papers.forEach(saveAbstract);
+
+    return papers.map(paper => ({
+      id: paper.id,
+      title: paper.title,
+      url: paper.url,
+      points: 0,
+      comments: 0,
+      comments_url: paper.comments_url,
+      published_at: new Date(paper.published).getTime() || 0,
+      listing: paper.listing
+    }));
+  } catch (error) {
+    console.error('Error fetching arXiv submissions:', error.message);
+    return [];
+  }
+}
+
+module.exports = {
+  isValidCategory,
+  getArxivCategories,
+  parseArxivFeed,
+  fetchArxivStories
+};
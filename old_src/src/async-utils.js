@@ -0,0 +1,31 @@
+/**
+ * Small helpers for running network requests in parallel
+ */
+
+/**
+ * Map over items with at most `limit` calls to `fn` in flight at once
+ * @param {Array} items - Inputs, processed in order
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async mapper called with (item, index)
+ * @returns {Promise<Array>} Results in the same order as `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
@@ -0,0 +1,77 @@
+/**
+ * Canonical URLs for recognizing the same article across sources
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = [
+  /^utm_/i,
+  /^(fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_hsenc|_hsmi|ref_src|ref_url|share_source|cmpid)$/i,
+  /^(amp|outputtype)$/i
+];
+
+// Mobile and AMP hostnames that serve the same page as the bare domain
+const HOST_PREFIXES = /^(www\d?|m|mobile|amp)\./i;
+
+/**
+ * Unwrap Google AMP cache and viewer URLs
+ * (https://example-com.cdn.ampproject.org/c/s/example.com/page, https://www.google.com/amp/s/example.com/page)
+ */
+function unwrapAmpCache(urlObj) {
+  let match = null;
+  if (urlObj.hostname.endsWith('.cdn.ampproject.org')) {
+    match = /^\/[a-z]\/(s\/)?(.+)$/i.exec(urlObj.pathname);
+  } else if (/^(www\.)?google\.[a-z.]+$/i.test(urlObj.hostname)) {
+    match = /^\/amp\/(s\/)?(.+)$/i.exec(urlObj.pathname);
+  }
+  if (!match) {
+    return urlObj;
+  }
+
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${urlObj.search}`);
+  } catch (error) {
+    return urlObj;
+  }
+}
+
+/**
+ * Normalize a URL so trivially different links to one article compare equal:
+ * https, no `www.`/`m.`/`amp.` prefix, no fragment, no tracking parameters,
+ * no AMP path variants and no trailing slash. Returns null for unparseable URLs.
+ */
+function canonicalizeUrl(url) {
+  if (!url) return null;
+
+  let urlObj;
+  try {
+    urlObj = unwrapAmpCache(new URL(url.trim()));
+  } catch (error) {
+    return null;
+  }
+
+  if (urlObj.protocol !== 'http:' && urlObj.protocol !== 'https:') {
+    return null;
+  }
+
+  const host = urlObj.hostname.toLowerCase().replace(HOST_PREFIXES, '');
+
+  let pathname = urlObj.pathname
+    .replace(/\/amp(\.html)?\/?$/i, '/')
+    .replace(/\.amp(\.html)?$/i, '')
+    .replace(/^\/amp\//i, '/')
+    .replace(/\/{2,}/g, '/')
+    .replace(/\/+$/, '');
+
+  const params = [...urlObj.searchParams.entries()]
+    .filter(([name]) => !TRACKING_PARAMS.some(pattern => pattern.test(name)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? '?' + new URLSearchParams(params).toString() : '';
+
+  const port = urlObj.port && urlObj.port !== '80' && urlObj.port !== '443' ? `:${urlObj.port}` : '';
+
+  return `https://${host}${port}${pathname}${query}`;
+}
+
+module.exports = {
+  canonicalizeUrl
+};
@@ -3,7 +3,6 @@
  */
 
 const { spawn } = require('child_process');
-const { BrowserWindow } = require('electron');
 
 /**
  * Check if Claude Desktop is available on the system
@@ -385,6 +384,7 @@ function parseClaudeResponse(response) {
  * Show tag suggestion window
  */
 function showTagSuggestionWindow(storyId, title, url, source) {
+  const { BrowserWindow } = require('electron');
   const win = new BrowserWindow({
     width: 400,
     height: 140,
@@ -491,7 +491,7 @@ function showTagSuggestionWindow(storyId, title, url, source) {
       <script>
         const { ipcRenderer } = require('electron');
         let selectedTags = new Set();
-        let storyId = ${storyId};
+        let storyId = ${JSON.stringify(storyId)};
         let storySource = '${source}';
 
         // Generate tag suggestions when window loads
@@ -595,22 +595,26 @@ function showTagSuggestionWindow(storyId, title, url, source) {
 
   // Handle tag application
   ipcMain.removeAllListeners('apply-ai-tags');
-  ipcMain.on('apply-ai-tags', (event, data) => {
+  ipcMain.on('apply-ai-tags', async (event, data) => {
     console.log('Applying AI-generated tags:', data);
 
-    // Apply each tag to the story
-    const { addTagToStory, trackEngagement } = require('./database');
+    const repository = require('./repository');
+    const { trackEngagement } = require('./database');
 
-    data.tags.forEach(tag => {
-      addTagToStory(data.storyId, tag);
-    });
+    try {
+      const saved = await repository.tags.add(data.storyId, data.tags, data.source);
+      console.log(`✅ Tagged story ${data.storyId}: ${saved.tags.join(', ')} (${saved.added.length} new)`);
+    } catch (error) {
+      console.error(`❌ Could not save AI tags for story ${data.storyId}:`, error.message);
+      return;
+    }
 
     // Track engagement for using AI tags
     trackEngagement(data.storyId, data.source);
 
     // Refresh the menu to show updated tags
     const { updateMenu } = require('./menu');
-    setTimeout(updateMenu, 100);
+    updateMenu();
   });
 }
 
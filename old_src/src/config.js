@@ -2,55 +2,105 @@
  * Configuration constants and environment setup
  */
 
-// Load environment variables from userData directory for packaged apps
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Directory holding clicks.db, settings.json and .env. DATA_DIR overrides
+ * it; otherwise it's Electron's userData directory, or the same location
+ * computed by hand when running without Electron (server.js).
+ */
+function getDataDir() {
+  if (process.env.DATA_DIR) {
+    return path.resolve(process.env.DATA_DIR);
+  }
+  
+  if (process.versions.electron) {
+    const { app } = require('electron');
+    return app.getPath('userData');
+  }
+  
+  let appDataPath;
+  if (process.platform === 'darwin') {
+    appDataPath = path.join(os.homedir(), 'Library', 'Application Support');
+  } else if (process.platform === 'win32') {
+    appDataPath = process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming');
+  } else {
+    appDataPath = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  }
+  return path.join(appDataPath, require('../package.json').name);
+}
+
+// Load environment variables from the data directory for packaged apps
 function loadUserDataEnv() {
   try {
-    const { app } = require('electron');
-    const fs = require('fs');
-    const path = require('path');
+    const envPath = path.join(getDataDir(), '.env');
     
-    if (app && app.getPath) {
-      const userDataPath = app.getPath('userData');
-      const envPath = path.join(userDataPath, '.env');
+    if (fs.existsSync(envPath)) {
+      const envContent = fs.readFileSync(envPath, 'utf8');
+      const lines = envContent.split('\n');
+      
+      lines.forEach(line => {
+        const [key, value] = line.split('=');
+        if (key && value) {
+          process.env[key] = value;
+        }
+      });
       
-      if (fs.existsSync(envPath)) {
-        const envContent = fs.readFileSync(envPath, 'utf8');
-        const lines = envContent.split('\n');
-        
-        lines.forEach(line => {
-          const [key, value] = line.split('=');
-          if (key && value) {
-            process.env[key] = value;
-          }
-        });
-        
-        console.log('✅ Loaded credentials from userData directory');
-      } else {
-        console.log('ℹ️ No .env file found in userData directory');
-      }
+      console.log('✅ Loaded credentials from data directory');
+    } else {
+      console.log('ℹ️ No .env file found in data directory');
     }
   } catch (error) {
-    console.log('ℹ️ Not in Electron context, using standard dotenv');
+    console.log('ℹ️ Could not read .env from data directory, using standard dotenv');
   }
 }
 
-// Try to load from userData first, then fall back to standard dotenv
+// Try to load from the data directory first, then fall back to standard dotenv
 loadUserDataEnv();
 require('dotenv').config();
 
 // Configuration constants - can be overridden by environment variables
 const CACHE_DURATION = parseInt(process.env.CACHE_DURATION) || 15 * 60 * 1000; // 15 minutes
+const API_HOST = process.env.API_HOST || '127.0.0.1'; // 0.0.0.0 to serve other machines
 const API_PORT = parseInt(process.env.API_PORT) || 3002;
 const HTTPS_PORT = parseInt(process.env.HTTPS_PORT) || 3003;
+const FETCH_INTERVAL = parseInt(process.env.FETCH_INTERVAL) || 5 * 60 * 1000; // 5 minutes, headless server only
+const RISING_WINDOW = parseInt(process.env.RISING_WINDOW) || 6 * 60 * 60 * 1000; // 6 hours of snapshots
+const RISING_MIN_SPAN = parseInt(process.env.RISING_MIN_SPAN) || 15 * 60 * 1000; // 15 minutes
 const USER_AGENT = process.env.USER_AGENT || 'Reading-Tracker/1.0';
+const HN_ITEM_CACHE_TTL = parseInt(process.env.HN_ITEM_CACHE_TTL) || 30 * 60 * 1000; // 30 minutes
+const HN_LIST_CACHE_TTL = parseInt(process.env.HN_LIST_CACHE_TTL) || 5 * 60 * 1000; // 5 minutes
+const HN_FETCH_CONCURRENCY = parseInt(process.env.HN_FETCH_CONCURRENCY) || 6;
+const HN_REQUEST_TIMEOUT = parseInt(process.env.HN_REQUEST_TIMEOUT) || 5000; // 5 seconds
+const GITHUB_RELEASE_MAX_AGE = parseInt(process.env.GITHUB_RELEASE_MAX_AGE) || 30 * 24 * 60 * 60 * 1000; // 30 days
+const ARXIV_MAX_RESULTS = parseInt(process.env.ARXIV_MAX_RESULTS) || 50;
+const MASTODON_INSTANCE = process.env.MASTODON_INSTANCE || 'mastodon.social';
 const DEFAULT_SUBREDDITS = process.env.REDDIT_SUBREDDITS ? 
   process.env.REDDIT_SUBREDDITS.split(',') : 
   ['news', 'television', 'elixir', 'aitah', 'bestofredditorupdates', 'explainlikeimfive', 'technology', 'askreddit', 'gadgets', 'gaming'];
+const DEFAULT_FEEDS = process.env.FEED_URLS ?
+  process.env.FEED_URLS.split(',').map(url => url.trim()).filter(url => url) :
+  [];
 
 module.exports = {
+  getDataDir,
   CACHE_DURATION,
+  API_HOST,
   API_PORT,
   HTTPS_PORT,
+  FETCH_INTERVAL,
+  RISING_WINDOW,
+  RISING_MIN_SPAN,
   USER_AGENT,
-  DEFAULT_SUBREDDITS
+  HN_ITEM_CACHE_TTL,
+  HN_LIST_CACHE_TTL,
+  HN_FETCH_CONCURRENCY,
+  HN_REQUEST_TIMEOUT,
+  GITHUB_RELEASE_MAX_AGE,
+  ARXIV_MAX_RESULTS,
+  MASTODON_INSTANCE,
+  DEFAULT_SUBREDDITS,
+  DEFAULT_FEEDS
 };
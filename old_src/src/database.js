@@ -1,216 +1,73 @@
 /**
  * Database operations and initialization
+ *
+ * The story, click, tag and article functions here are callback wrappers
+ * around repository.js, kept while callers move to its promise API.
  */
 
 const sqlite3 = require('sqlite3').verbose();
+const repository = require('./repository');
 
 let db = null;
 
 /**
- * Convert string to a consistent integer hash
+ * Pass a repository promise's outcome to a Node-style callback
  */
-function hashStringToInt(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32-bit integer
-  }
-  return Math.abs(hash);
+function toCallback(promise, callback) {
+  promise.then(result => callback(null, result), error => callback(error));
 }
 
 /**
- * Extract domain from URL
+ * Report a failed fire-and-forget write: a warning for stories we never stored, an error otherwise
  */
-function extractDomain(url) {
-  try {
-    const urlObj = new URL(url);
-    return urlObj.hostname;
-  } catch (error) {
-    console.warn('Invalid URL:', url);
-    return null;
-  }
+function logFailure(notFoundMessage, errorMessage, storyId, source) {
+  return (error) => {
+    if (error.code === 'STORY_NOT_FOUND') {
+      console.warn(notFoundMessage, storyId, source);
+    } else {
+      console.error(errorMessage, error);
+    }
+  };
 }
 
 /**
- * Initialize SQLite database with required tables and schema
- * @param {Function} callback - Callback function to execute after initialization
+ * Open the SQLite database and bring its schema up to date (see migrations.js)
+ * @param {Function} callback - Called once the schema is current, or with an
+ *   error when a migration failed; the database can't be used after that
  */
 function initDatabase(callback) {
   const path = require('path');
   const fs = require('fs');
-  const { app } = require('electron');
+  const { getDataDir } = require('./config');
   
-  // Use Electron's userData directory for database storage
-  const userDataPath = app.getPath('userData');
-  const dbPath = path.join(userDataPath, 'clicks.db');
+  // Electron's userData directory unless DATA_DIR says otherwise
+  const dataDir = getDataDir();
+  const dbPath = path.join(dataDir, 'clicks.db');
   
-  // Ensure the userData directory exists
-  if (!fs.existsSync(userDataPath)) {
-    fs.mkdirSync(userDataPath, { recursive: true });
+  // Ensure the data directory exists
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
   }
   
   console.log('Database path:', dbPath);
   db = new sqlite3.Database(dbPath);
   
-  db.serialize(() => {
-    // Legacy clicks table (keeping existing structure for migration)
-    db.run(`CREATE TABLE IF NOT EXISTS clicks (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT NOT NULL,
-      points INTEGER,
-      comments INTEGER,
-      story_added_at DATETIME,
-      clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-    
-    // Links table for tracking story appearances and engagement
-    db.run(`CREATE TABLE IF NOT EXISTS links (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT NOT NULL,
-      comments_url TEXT,
-      source TEXT NOT NULL,
-      points INTEGER,
-      comments INTEGER,
-      viewed BOOLEAN DEFAULT FALSE,
-      viewed_at DATETIME,
-      engaged BOOLEAN DEFAULT FALSE,
-      engaged_at DATETIME,
-      engagement_count INTEGER DEFAULT 0,
-      first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      times_appeared INTEGER DEFAULT 1,
-      archive_url TEXT,
-      tags TEXT
-    )`, () => {});
-    
-    // Main stories table (consolidated from old links table)
-    db.run(`CREATE TABLE IF NOT EXISTS stories (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      title TEXT NOT NULL,
-      url TEXT NOT NULL,
-      comments_url TEXT,
-      source TEXT NOT NULL,
-      points INTEGER,
-      comments INTEGER,
-      viewed BOOLEAN DEFAULT FALSE,
-      viewed_at DATETIME,
-      engaged BOOLEAN DEFAULT FALSE,
-      engaged_at DATETIME,
-      engagement_count INTEGER DEFAULT 0,
-      first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      times_appeared INTEGER DEFAULT 1,
-      archive_url TEXT
-    )`, () => {});
-    
-    // New normalized tags table
-    db.run(`CREATE TABLE IF NOT EXISTS tags (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      story_id INTEGER NOT NULL,
-      tag TEXT NOT NULL,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (story_id) REFERENCES stories(id),
-      UNIQUE(story_id, tag)
-    )`, () => {});
-    
-    // Create index for fast tag lookups
-    db.run(`CREATE INDEX IF NOT EXISTS idx_tags_story_id ON tags(story_id)`, () => {});
-    db.run(`CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag)`, () => {});
-    
-    // Create articles table for saved content
-    db.run(`CREATE TABLE IF NOT EXISTS articles (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      url TEXT NOT NULL UNIQUE,
-      title TEXT NOT NULL,
-      domain TEXT,
-      click_count INTEGER DEFAULT 0,
-      author TEXT,
-      publish_date TEXT,
-      content TEXT,
-      text_content TEXT,
-      word_count INTEGER,
-      reading_time INTEGER,
-      saved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_clicked_at DATETIME,
-      tags TEXT,
-      notes TEXT,
-      archive_path TEXT,
-      archive_date DATETIME,
-      file_size INTEGER,
-      description TEXT
-    )`);
-    
-    // Create full-text search table for articles
-    db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
-      title,
-      author,
-      text_content,
-      tags,
-      content='articles',
-      content_rowid='id'
-    )`);
-    
-    // Triggers to keep FTS table in sync
-    db.run(`CREATE TRIGGER IF NOT EXISTS articles_ai AFTER INSERT ON articles BEGIN
-      INSERT INTO articles_fts(rowid, title, author, text_content, tags) 
-      VALUES (new.id, new.title, new.author, new.text_content, new.tags);
-    END`);
-    
-    db.run(`CREATE TRIGGER IF NOT EXISTS articles_ad AFTER DELETE ON articles BEGIN
-      INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags) 
-      VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
-    END`);
-    
-    db.run(`CREATE TRIGGER IF NOT EXISTS articles_au AFTER UPDATE ON articles BEGIN
-      INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags) 
-      VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
-      INSERT INTO articles_fts(rowid, title, author, text_content, tags) 
-      VALUES (new.id, new.title, new.author, new.text_content, new.tags);
-    END`);
-    
-    // Migration: Copy data from links table to new stories table if needed
-    db.run(`INSERT OR IGNORE INTO stories (story_id, title, url, comments_url, source, points, comments, 
-            viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared)
-            SELECT story_id, title, url, comments_url, source, points, comments, 
-            viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared
-            FROM links WHERE EXISTS (SELECT name FROM sqlite_master WHERE type='table' AND name='links')`, () => {});
-    
-    // Migration: Extract tags from old stories/links tables into new tags table
-    db.all(`SELECT id, story_id, tags FROM stories WHERE tags IS NOT NULL AND tags != ''`, [], (err, rows) => {
-      if (!err && rows) {
-        rows.forEach(row => {
-          if (row.tags) {
-            const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
-            tags.forEach(tag => {
-              db.run(`INSERT OR IGNORE INTO tags (story_id, tag) VALUES (?, ?)`, [row.id, tag]);
-            });
-          }
-        });
-      }
-    });
-    
-    // Legacy table support - keep old columns for migration
-    db.run(`ALTER TABLE clicks ADD COLUMN points INTEGER`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN comments INTEGER`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN story_added_at DATETIME`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN archive_url TEXT`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN tags TEXT`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN comments_url TEXT`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN link_id INTEGER`, () => {});
-    db.run(`ALTER TABLE clicks ADD COLUMN click_type TEXT`, () => {});
-    
-    // Add new columns to articles table for existing databases
-    db.run(`ALTER TABLE articles ADD COLUMN domain TEXT`, () => {});
-    db.run(`ALTER TABLE articles ADD COLUMN click_count INTEGER DEFAULT 0`, () => {});
-    db.run(`ALTER TABLE articles ADD COLUMN last_clicked_at DATETIME`, () => {});
-    
-    if (callback) callback();
+  const { runMigrations, logMigrationReport } = require('./migrations');
+  const migrated = runMigrations(db).then(report => {
+    logMigrationReport(report);
+    if (report.failed) {
+      throw new Error(`Migration ${report.failed.version} (${report.failed.name}) failed: ${report.failed.error}`);
+    }
+  });
+  
+  // Repository queries wait until the schema is current, and fail if it never gets there
+  repository.useDatabase(db, migrated);
+  
+  migrated.then(() => {
+    if (callback) callback(null);
+  }, error => {
+    console.error('❌ Database migrations failed:', error.message);
+    if (callback) callback(error);
   });
 }
 
@@ -240,108 +97,99 @@ function generateArchiveDirectUrl(originalUrl) {
  * Save archive URL to database for a story
  */
 function saveArchiveUrl(storyId, originalUrl, archiveUrl, source) {
-  if (!db) return;
-  
   console.log(`💾 SAVING ARCHIVE URL: Story ${storyId} [${source}] -> ${archiveUrl}`);
   
-  // Update the links table with archive URL
-  db.run(`UPDATE links SET archive_url = ? WHERE story_id = ? AND source = ?`, 
-    [archiveUrl, storyId, source], (err) => {
-      if (err) {
-        console.error('Error saving archive URL to links:', err);
-      } else {
-        console.log(`✅ Archive URL saved for story ${storyId}`);
-      }
-    });
-    
-  // Also save to clicks table for the most recent click
-  db.run(`UPDATE clicks SET archive_url = ? WHERE id = (
-    SELECT id FROM clicks WHERE story_id = ? ORDER BY clicked_at DESC LIMIT 1
-  )`, 
-    [archiveUrl, storyId], (err) => {
-      if (err) {
-        console.error('Error saving archive URL to clicks:', err);
-      }
-    });
+  repository.stories.setArchiveUrl(storyId, source, archiveUrl)
+    .then(() => console.log(`✅ Archive URL saved for story ${storyId}`))
+    .catch(logFailure('No link found for archive URL:', 'Error saving archive URL:', storyId, source));
 }
 
 /**
- * Track when a story appears in the menu - adds to links table
+ * Look up cached Hacker News items
+ * @param {Array<number>} itemIds - HN item ids
+ * @param {Function} callback - Called with (err, rows) where rows are `{item, fetchedAt}`
  */
-function trackLinkAppearance(story, source) {
-  if (!db) return;
-  
-  // Handle stories without URLs (like HN text posts)
-  let storyUrl = story.url;
-  if (!storyUrl) {
-    if (source === 'hn' && typeof story.id === 'number') {
-      // For HN text posts, use the HN discussion URL as the main URL
-      storyUrl = `https://news.ycombinator.com/item?id=${story.id}`;
-    } else {
-      console.warn('Skipping story without URL:', story.title);
-      return;
-    }
-  }
-  
-  // Convert story ID to integer - use hash for string IDs
-  let storyId;
-  if (typeof story.id === 'number') {
-    storyId = story.id;
-  } else {
-    storyId = hashStringToInt(story.id);
-  }
-  
-  // Generate comments URL based on source
-  let commentsUrl = null;
-  if (story.comments_url) {
-    commentsUrl = story.comments_url;
-  } else if (source === 'reddit') {
-    commentsUrl = storyUrl; // For Reddit, the URL is the comments page
-  } else if (source === 'hn' && typeof story.id === 'number') {
-    commentsUrl = `https://news.ycombinator.com/item?id=${story.id}`;
+function getCachedHNItems(itemIds, callback) {
+  if (!db || itemIds.length === 0) {
+    callback(null, []);
+    return;
   }
   
-  
-  // Check if link already exists
-  db.get('SELECT id, times_appeared FROM links WHERE story_id = ? AND source = ?', [storyId, source], (err, row) => {
+  const placeholders = itemIds.map(() => '?').join(',');
+  db.all(`SELECT item_id, data, fetched_at FROM hn_item_cache WHERE item_id IN (${placeholders})`, itemIds, (err, rows) => {
     if (err) {
-      console.error('Error checking existing link:', err);
+      console.error('Error reading HN item cache:', err);
+      callback(err, []);
       return;
     }
     
-    if (row) {
-      // Link exists, update it
-      db.run(`UPDATE links SET 
-        title = ?, 
-        points = ?, 
-        comments = ?, 
-        comments_url = ?,
-        last_seen_at = CURRENT_TIMESTAMP,
-        times_appeared = times_appeared + 1
-        WHERE id = ?`, 
-        [story.title || 'Untitled', story.points, story.comments, commentsUrl, row.id], (updateErr) => {
-          if (updateErr) {
-            console.error('Error updating link:', updateErr);
-          }
-        });
-    } else {
-      // New link, insert it
-      console.log(`💾 PERSISTING NEW LINK TO DATABASE: [${source.toUpperCase()}] Story ID: ${storyId}`);
-      db.run(`INSERT INTO links (
-        story_id, title, url, comments_url, source, points, comments
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)`, 
-        [storyId, story.title || 'Untitled', storyUrl, commentsUrl, source, story.points, story.comments], 
-        function(err) {
+    const items = [];
+    rows.forEach(row => {
+      try {
+        items.push({ item: JSON.parse(row.data), fetchedAt: row.fetched_at });
+      } catch (parseError) {
+        console.warn('Discarding unreadable HN cache entry:', row.item_id);
+      }
+    });
+    callback(null, items);
+  });
+}
+
+/**
+ * Store freshly fetched Hacker News items and prune entries past their useful life
+ */
+function cacheHNItems(items, maxAge) {
+  if (!db || items.length === 0) return;
+  
+  const now = Date.now();
+  db.serialize(() => {
+    items.forEach(item => {
+      db.run('INSERT OR REPLACE INTO hn_item_cache (item_id, data, fetched_at) VALUES (?, ?, ?)',
+        [item.id, JSON.stringify(item), now], (err) => {
           if (err) {
-            console.error('Error inserting link:', err);
-          } else {
-            console.log(`✅ NEW LINK PERSISTED: Database ID ${this.lastID}, Story ID: ${storyId}, Source: ${source.toUpperCase()}, Title: "${story.title || 'Untitled'}"`);
+            console.error('Error caching HN item:', err);
           }
         });
-    }
+    });
+    
+    // Stale entries are still served when a refresh fails, so keep them for a while
+    db.run('DELETE FROM hn_item_cache WHERE fetched_at < ?', [now - maxAge * 48], (err) => {
+      if (err) {
+        console.error('Error pruning HN item cache:', err);
+      }
+    });
   });
 }
 
+/**
+ * Find the link a source's story was stored as, including links it was
+ * merged into because another source had the same article first
+ * @param {number|string} storyId - Story id as the source reports it
+ * @param {string} source - Source id
+ * @param {Function} callback - Called with (err, link) where link is a `links` row or null
+ */
+function findLink(storyId, source, callback) {
+  toCallback(repository.stories.find(storyId, source), callback);
+}
+
+/**
+ * Track when a story appears in the menu - adds to links table
+ * @param {number} [rank] - Position in the source's listing (1 = top)
+ */
+function trackLinkAppearance(story, source, rank = null) {
+  repository.stories.recordAppearance(story, source, rank)
+    .then(result => {
+      if (!result) {
+        console.warn('Skipping story without URL:', story.title);
+      } else if (result.status === 'merged') {
+        console.log(`🔗 MERGING [${source.toUpperCase()}] Story ${result.storyKey} into link ${result.linkId} first seen on ${result.linkSource.toUpperCase()}`);
+      } else if (result.status === 'created') {
+        console.log(`✅ NEW LINK PERSISTED: Database ID ${result.linkId}, Story: ${result.storyKey}, Source: ${source.toUpperCase()}, Title: "${story.title || 'Untitled'}"`);
+      }
+    })
+    .catch(error => console.error('Error recording link appearance:', error));
+}
+
 /**
  * Legacy function - now calls trackLinkAppearance
  */
@@ -363,31 +211,11 @@ function trackStoryAppearance(story) {
  * Track when a user engages with a story (expands submenu, hovers, shows interest)
  */
 function trackEngagement(storyId, source) {
-  if (!db) return;
-  
-  // Convert story ID to integer - use hash for string IDs
-  let normalizedStoryId;
-  if (typeof storyId === 'number') {
-    normalizedStoryId = storyId;
-  } else {
-    normalizedStoryId = hashStringToInt(storyId);
-  }
+  console.log(`🎯 ENGAGEMENT TRACKED: [${source.toUpperCase()}] Story ID: ${storyId}`);
   
-  console.log(`🎯 ENGAGEMENT TRACKED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
-  
-  // Update the link with engagement data
-  db.run(`UPDATE links SET 
-    engaged = TRUE, 
-    engaged_at = CURRENT_TIMESTAMP,
-    engagement_count = engagement_count + 1
-    WHERE story_id = ? AND source = ?`, 
-    [normalizedStoryId, source], (err) => {
-      if (err) {
-        console.error('Error tracking engagement:', err);
-      } else {
-        console.log(`✅ ENGAGEMENT RECORDED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
-      }
-    });
+  repository.stories.markEngaged(storyId, source)
+    .then(() => console.log(`✅ ENGAGEMENT RECORDED: [${source.toUpperCase()}] Story ID: ${storyId}`))
+    .catch(logFailure('No link found for engagement tracking:', 'Error tracking engagement:', storyId, source));
 }
 
 /**
@@ -426,66 +254,22 @@ function trackArchiveClick(storyId, source) {
  * Internal function to track specific click events
  */
 function trackClickEvent(storyId, source, clickType) {
-  if (!db) return;
-  
-  // Convert story ID to integer - use hash for string IDs
-  let normalizedStoryId;
-  if (typeof storyId === 'number') {
-    normalizedStoryId = storyId;
-  } else {
-    normalizedStoryId = hashStringToInt(storyId);
-  }
+  console.log(`🎪 CLICK EVENT: [${source.toUpperCase()}] Story ID: ${storyId}, Type: ${clickType}`);
   
-  console.log(`🎪 CLICK EVENT: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}, Type: ${clickType}`);
-  
-  // Find the link data for insertion
-  db.get('SELECT id, story_id, title, url FROM links WHERE story_id = ? AND source = ?', [normalizedStoryId, source], (err, row) => {
-    if (err) {
-      console.error('Error finding link for click tracking:', err);
-      return;
-    }
-    
-    if (row) {
-      // Record the click with all required legacy fields
-      console.log(`💾 PERSISTING CLICK TO DATABASE: Link ID ${row.id}, Type: ${clickType}`);
-      db.run('INSERT INTO clicks (story_id, title, url, link_id, click_type, clicked_at) VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)', 
-        [row.story_id, row.title, row.url, row.id, clickType], (insertErr) => {
-        if (insertErr) {
-          console.error('Error tracking click:', insertErr);
-        } else {
-          console.log(`✅ CLICK PERSISTED: Link ID ${row.id}, Type: ${clickType}, Story ID: ${normalizedStoryId}`);
-        }
-      });
-    } else {
-      console.warn('No link found for click tracking:', normalizedStoryId, source);
-    }
-  });
+  repository.clicks.record(storyId, source, clickType)
+    .then(click => console.log(`✅ CLICK PERSISTED: Link ID ${click.linkId}, Type: ${clickType}, Story ID: ${storyId}`))
+    .catch(logFailure('No link found for click tracking:', 'Error tracking click:', storyId, source));
 }
 
 /**
  * Mark a link as viewed and update viewed_at timestamp
  */
 function markLinkAsViewed(storyId, source) {
-  if (!db) return;
-  
-  // Convert story ID to integer - use hash for string IDs
-  let normalizedStoryId;
-  if (typeof storyId === 'number') {
-    normalizedStoryId = storyId;
-  } else {
-    normalizedStoryId = hashStringToInt(storyId);
-  }
-  
-  console.log(`👀 MARKING LINK AS VIEWED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
+  console.log(`👀 MARKING LINK AS VIEWED: [${source.toUpperCase()}] Story ID: ${storyId}`);
   
-  db.run('UPDATE links SET viewed = TRUE, viewed_at = CURRENT_TIMESTAMP WHERE story_id = ? AND source = ?', 
-    [normalizedStoryId, source], (err) => {
-      if (err) {
-        console.error('Error marking link as viewed:', err);
-      } else {
-        console.log(`✅ LINK MARKED AS VIEWED: [${source.toUpperCase()}] Story ID: ${normalizedStoryId}`);
-      }
-    });
+  repository.stories.markViewed(storyId, source)
+    .then(() => console.log(`✅ LINK MARKED AS VIEWED: [${source.toUpperCase()}] Story ID: ${storyId}`))
+    .catch(logFailure('No link found to mark as viewed:', 'Error marking link as viewed:', storyId, source));
 }
 
 /**
@@ -505,329 +289,98 @@ function trackClick(storyId, title, url, points, comments, commentsUrl = null) {
   trackArticleClick(storyId, source);
 }
 
-function addTagToStory(storyId, tag) {
-  if (db && tag && tag.trim()) {
-    const cleanTag = tag.trim().toLowerCase();
-    
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    // Get current tags for the story from links table
-    db.get('SELECT tags FROM links WHERE story_id = ?', [normalizedStoryId], (err, row) => {
-      if (!err) {
-        let currentTags = [];
-        if (row && row.tags) {
-          currentTags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-        }
-        
-        // Add new tag if not already present
-        if (!currentTags.includes(cleanTag)) {
-          currentTags.push(cleanTag);
-          const updatedTags = currentTags.join(',');
-          
-          // Update the links table
-          db.run('UPDATE links SET tags = ? WHERE story_id = ?', [updatedTags, normalizedStoryId], (err) => {
-            if (err) {
-              console.error('Error adding tag to links:', err);
-            } else {
-              console.log(`✅ Tag "${cleanTag}" added to story ${normalizedStoryId} in links table`);
-            }
-          });
-        } else {
-          console.log(`⚠️ Tag "${cleanTag}" already exists for story ${normalizedStoryId}`);
-        }
-      } else {
-        console.warn(`⚠️ Story ${normalizedStoryId} not found in links table for tagging`);
-      }
-    });
-  }
+function addTagToStory(storyId, tag, source) {
+  addMultipleTagsToStory(storyId, [tag], source);
 }
 
-function addMultipleTagsToStory(storyId, tags) {
-  if (db && tags && tags.length > 0) {
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    // Get current tags for the story from links table
-    db.get('SELECT tags FROM links WHERE story_id = ?', [normalizedStoryId], (err, row) => {
-      if (!err) {
-        let currentTags = [];
-        if (row && row.tags) {
-          currentTags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-        }
-        
-        // Add all new tags that aren't already present
-        const cleanTags = tags.map(tag => tag.trim().toLowerCase()).filter(tag => tag);
-        const newTags = cleanTags.filter(tag => !currentTags.includes(tag));
-        
-        if (newTags.length > 0) {
-          const allTags = [...currentTags, ...newTags];
-          const updatedTags = allTags.join(',');
-          
-          // Update the links table
-          db.run('UPDATE links SET tags = ? WHERE story_id = ?', [updatedTags, normalizedStoryId], (err) => {
-            if (err) {
-              console.error('Error adding tags to links:', err);
-            } else {
-              console.log(`✅ Added ${newTags.length} tags to story ${normalizedStoryId}: ${newTags.join(', ')}`);
-            }
-          });
-        } else {
-          console.log(`⚠️ All tags already exist for story ${normalizedStoryId}`);
-        }
+function addMultipleTagsToStory(storyId, tags, source) {
+  if (!tags || tags.length === 0) return;
+  
+  repository.tags.add(storyId, tags, source)
+    .then(result => {
+      if (result.added.length > 0) {
+        console.log(`✅ Tagged story ${storyId}: ${result.added.join(', ')} (${result.added.length} new)`);
       } else {
-        console.warn(`⚠️ Story ${normalizedStoryId} not found in links table for tagging`);
+        console.log(`⚠️ All tags already exist for story ${storyId}`);
       }
-    });
-  }
+    })
+    .catch(logFailure('⚠️ Story not found in links table for tagging:', 'Error adding tags:', storyId, source));
 }
 
-function getStoryTags(storyId, callback) {
-  if (db) {
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    // Get the internal story ID first
-    db.get('SELECT id FROM stories WHERE story_id = ?', [normalizedStoryId], (err, storyRow) => {
-      if (err) {
-        callback(err, []);
-        return;
-      }
-      
-      if (storyRow) {
-        // Get tags from normalized tags table
-        db.all('SELECT tag FROM tags WHERE story_id = ? ORDER BY created_at', [storyRow.id], (err, tagRows) => {
-          if (err) {
-            callback(err, []);
-          } else {
-            const tags = tagRows.map(row => row.tag);
-            callback(null, tags);
-          }
-        });
-      } else {
-        callback(null, []);
-      }
-    });
-  } else {
-    callback(null, []);
-  }
+function getStoryTags(storyId, source, callback) {
+  repository.tags.get(storyId, source).then(tags => callback(null, tags), error => callback(error, []));
 }
 
-function removeTagFromStory(storyId, tagToRemove) {
-  if (db && tagToRemove) {
-    // Convert story ID to integer - use hash for string IDs
-    let normalizedStoryId;
-    if (typeof storyId === 'number') {
-      normalizedStoryId = storyId;
-    } else {
-      normalizedStoryId = hashStringToInt(storyId);
-    }
-    
-    db.get('SELECT tags FROM stories WHERE story_id = ?', [normalizedStoryId], (err, row) => {
-      if (!err && row && row.tags) {
-        const currentTags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-        const updatedTags = currentTags.filter(tag => tag !== tagToRemove.trim().toLowerCase());
-        const newTagsString = updatedTags.join(',');
-        
-        db.run('UPDATE stories SET tags = ? WHERE story_id = ?', [newTagsString, normalizedStoryId], (err) => {
-          if (err) {
-            console.error('Error removing tag:', err);
-          }
-        });
-      }
-    });
-  }
+function removeTagFromStory(storyId, tagToRemove, source) {
+  if (!tagToRemove || !tagToRemove.trim()) return;
+  
+  repository.tags.remove(storyId, tagToRemove, source)
+    .catch(logFailure('⚠️ Story not found in links table for removing tag:', 'Error removing tag:', storyId, source));
 }
 
 function getAllUniqueTags(callback) {
-  if (db) {
-    db.all('SELECT DISTINCT tags FROM stories WHERE tags IS NOT NULL AND tags != ""', (err, rows) => {
-      if (err) {
-        callback(err, []);
-        return;
-      }
-      
-      // Parse all tag strings and create a unique set
-      const allTags = new Set();
-      
-      rows.forEach(row => {
-        if (row.tags) {
-          const tags = row.tags.split(',').map(t => t.trim()).filter(t => t);
-          tags.forEach(tag => allTags.add(tag));
-        }
-      });
-      
-      // Convert to sorted array
-      const uniqueTags = Array.from(allTags).sort();
-      callback(null, uniqueTags);
-    });
-  } else {
-    callback(null, []);
-  }
+  repository.tags.all().then(tags => callback(null, tags), error => callback(error, []));
 }
 
 function saveArticle(articleData, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  const {
-    url, title, author, publishDate, content, textContent, 
-    wordCount, readingTime, tags = null, notes = null
-  } = articleData;
-
-  const domain = extractDomain(url);
+  repository.articles.save(articleData).then(
+    result => {
+      console.log('Article saved with ID:', result.id);
+      callback(null, { id: result.id, message: 'Article saved successfully' });
+    },
+    error => {
+      console.error('Error saving article:', error);
+      callback(error);
+    });
+}
 
-  db.run(`INSERT OR REPLACE INTO articles 
-    (url, title, domain, author, publish_date, content, text_content, word_count, reading_time, tags, notes) 
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-    [url, title, domain, author, publishDate, content, textContent, wordCount, readingTime, tags, notes],
-    function(err) {
-      if (err) {
-        console.error('Error saving article:', err);
-        callback(err);
-      } else {
-        console.log('Article saved with ID:', this.lastID);
-        callback(null, { id: this.lastID, message: 'Article saved successfully' });
-      }
-    }
-  );
+/**
+ * Save article text unless the URL is already stored (see repository.articles.saveIfNew)
+ */
+function saveArticleIfNew(articleData, callback) {
+  repository.articles.saveIfNew(articleData).then(
+    result => {
+      if (callback) callback(null, result);
+    },
+    error => {
+      console.error('Error saving article text:', error);
+      if (callback) callback(error);
+    });
 }
 
 function trackSavedArticleClick(articleId, callback) {
-  if (!db) {
-    if (callback) callback(new Error('Database not initialized'));
-    return;
-  }
-
   console.log(`📖 SAVED ARTICLE CLICK: Article ID: ${articleId}`);
 
-  db.run(`UPDATE articles 
-          SET click_count = click_count + 1, last_clicked_at = CURRENT_TIMESTAMP 
-          WHERE id = ?`, 
-    [articleId], 
-    function(err) {
-      if (err) {
-        console.error('Error tracking article click:', err);
-      } else {
-        console.log(`✅ SAVED ARTICLE CLICK TRACKED: Article ID: ${articleId}`);
-      }
-      if (callback) callback(err);
-    }
-  );
+  repository.articles.recordClick(articleId).then(
+    () => {
+      console.log(`✅ SAVED ARTICLE CLICK TRACKED: Article ID: ${articleId}`);
+      if (callback) callback(null);
+    },
+    error => {
+      console.error('Error tracking article click:', error);
+      if (callback) callback(error);
+    });
 }
 
 function getArticles(limit = 50, offset = 0, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  db.all(`SELECT * FROM articles 
-          ORDER BY click_count DESC, saved_at DESC 
-          LIMIT ? OFFSET ?`, 
-    [limit, offset], callback);
+  toCallback(repository.articles.list(limit, offset), callback);
 }
 
 function searchArticles(query, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  db.all(`SELECT articles.*, snippet(articles_fts, -1, '<mark>', '</mark>', '...', 64) as snippet
-          FROM articles_fts 
-          JOIN articles ON articles.id = articles_fts.rowid
-          WHERE articles_fts MATCH ?
-          ORDER BY rank
-          LIMIT 20`, 
-    [query], callback);
+  toCallback(repository.articles.search(query), callback);
 }
 
 function getArticleStats(callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  db.get(`SELECT 
-    COUNT(*) as total_articles,
-    SUM(word_count) as total_words,
-    AVG(word_count) as avg_words,
-    COUNT(CASE WHEN saved_at > datetime('now', '-7 days') THEN 1 END) as week_articles,
-    COUNT(CASE WHEN saved_at > datetime('now', '-30 days') THEN 1 END) as month_articles
-    FROM articles`, callback);
+  toCallback(repository.articles.stats(), callback);
 }
 
 function searchStoriesByTags(tagQuery, callback) {
-  if (!db) {
-    callback(new Error('Database not initialized'));
-    return;
-  }
-
-  if (!tagQuery || !tagQuery.trim()) {
-    callback(null, []);
-    return;
-  }
-
-  // Parse comma-separated tags and clean them
-  const searchTags = tagQuery.split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag);
-  
-  if (searchTags.length === 0) {
-    callback(null, []);
-    return;
-  }
-
-  // Build WHERE clause for OR conditions on tags
-  const tagConditions = searchTags.map(() => 'tags LIKE ?').join(' OR ');
-  const tagParams = searchTags.map(tag => `%${tag}%`);
-  
-  const query = `
-    SELECT story_id, title, url, points, comments, tags, impression_count, first_seen_at
-    FROM stories 
-    WHERE (${tagConditions}) AND tags IS NOT NULL AND tags != ''
-    ORDER BY impression_count DESC, first_seen_at DESC
-    LIMIT 20
-  `;
-
-  db.all(query, tagParams, (err, rows) => {
-    if (err) {
-      console.error('Error searching stories by tags:', err);
-      callback(err, []);
-    } else {
-      // Transform database rows to story format and filter out stories without URLs
-      const stories = rows
-        .map(row => ({
-          id: row.story_id,
-          title: row.title,
-          url: row.url,
-          points: row.points || 0,
-          comments: row.comments || 0,
-          tags: row.tags ? row.tags.split(',').map(t => t.trim()).filter(t => t) : [],
-          impression_count: row.impression_count || 0,
-          first_seen_at: row.first_seen_at
-        }))
-        .filter(story => story.url && story.url.trim()); // Filter out stories without valid URLs
-      
-      callback(null, stories);
-    }
-  });
+  repository.tags.searchStories(tagQuery).then(
+    stories => callback(null, stories),
+    error => {
+      console.error('Error searching stories by tags:', error);
+      callback(error, []);
+    });
 }
 
 function getDatabase() {
@@ -880,6 +433,22 @@ function clearAllData(callback) {
       if (err) console.error('Error clearing links:', err);
     });
     
+    db.run('DELETE FROM link_sources', (err) => {
+      if (err) console.error('Error clearing link sources:', err);
+    });
+    
+    db.run('DELETE FROM tags', (err) => {
+      if (err) console.error('Error clearing tags:', err);
+    });
+    
+    db.run('DELETE FROM story_snapshots', (err) => {
+      if (err) console.error('Error clearing story snapshots:', err);
+    });
+    
+    db.run('DELETE FROM story_key_collisions', (err) => {
+      if (err) console.error('Error clearing story key collisions:', err);
+    });
+    
     db.run('DELETE FROM stories', (err) => {
       if (err) console.error('Error clearing stories:', err);
       console.log('Database cleared successfully');
@@ -892,51 +461,27 @@ function clearAllData(callback) {
  * Clear all tags from the database
  */
 function clearAllTags(callback) {
-  if (!db) {
-    console.error('Database not initialized');
-    if (callback) callback(new Error('Database not initialized'));
-    return;
-  }
-
   console.log('🗑️ Clearing all tags from database...');
   
-  db.serialize(() => {
-    // Clear tags from stories table
-    db.run('UPDATE stories SET tags = NULL', (err) => {
-      if (err) {
-        console.error('Error clearing tags from stories:', err);
-      } else {
-        console.log('✅ Tags cleared from stories table');
-      }
-    });
-    
-    // Clear tags from links table
-    db.run('UPDATE links SET tags = NULL', (err) => {
-      if (err) {
-        console.error('Error clearing tags from links:', err);
-      } else {
-        console.log('✅ Tags cleared from links table');
-      }
-    });
-    
-    // Clear tags from clicks table
-    db.run('UPDATE clicks SET tags = NULL', (err) => {
-      if (err) {
-        console.error('Error clearing tags from clicks:', err);
-      } else {
-        console.log('✅ Tags cleared from clicks table');
-        console.log('🎉 All tags cleared successfully');
-        if (callback) callback();
-      }
+  repository.tags.clear().then(
+    () => {
+      console.log('🎉 All tags cleared successfully');
+      if (callback) callback();
+    },
+    error => {
+      console.error('Error clearing tags:', error);
+      if (callback) callback(error);
     });
-  });
 }
 
 module.exports = {
+  findLink,
   initDatabase,
   generateArchiveSubmissionUrl,
   generateArchiveDirectUrl,
   saveArchiveUrl,
+  getCachedHNItems,
+  cacheHNItems,
   trackStoryAppearance,
   trackLinkAppearance,
   trackEngagement,
@@ -952,6 +497,7 @@ module.exports = {
   getAllUniqueTags,
   searchStoriesByTags,
   saveArticle,
+  saveArticleIfNew,
   getArticles,
   searchArticles,
   getArticleStats,
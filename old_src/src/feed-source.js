@@ -0,0 +1,172 @@
+/**
+ * Generic feed source for RSS 2.0, RSS 1.0, Atom and JSON Feed
+ */
+
+const axios = require('axios');
+const { XMLParser } = require('fast-xml-parser');
+const { USER_AGENT } = require('./config');
+const { getSetting } = require('./settings');
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text'
+});
+
+/**
+ * Wrap single elements in an array (the XML parser collapses one-item lists)
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Read the text of an XML node that may carry attributes
+ */
+function textOf(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] || '');
+  return String(node);
+}
+
+/**
+ * Strip markup and entities from titles that feeds deliver as HTML
+ */
+function cleanTitle(title) {
+  return title
+    .replace(/<[^>]+>/g, '')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pick the article link from an Atom entry's <link> elements
+ */
+function atomLink(links) {
+  const candidates = toArray(links);
+  const alternate = candidates.find(link => !link['@_rel'] || link['@_rel'] === 'alternate');
+  const chosen = alternate || candidates[0];
+  if (!chosen) return null;
+  return typeof chosen === 'object' ? chosen['@_href'] : chosen;
+}
+
+/**
+ * Build a story in the same shape fetchHNStories returns
+ */
+function toStory(feedUrl, item) {
+  if (!item.url) return null;
+
+  return {
+    id: `${feedUrl}#${item.id || item.url}`,
+    title: cleanTitle(item.title || '') || item.url,
+    url: item.url,
+    points: 0,
+    comments: parseInt(item.comments) || 0,
+    comments_url: item.comments_url || null,
+    published_at: item.published ? new Date(item.published).getTime() || 0 : 0,
+    feed: feedUrl
+  };
+}
+
+/**
+ * Parse a JSON Feed document (https://jsonfeed.org)
+ */
+function parseJsonFeed(feedUrl, feed) {
+  return toArray(feed.items).map(item => toStory(feedUrl, {
+    id: item.id,
+    title: item.title || item.content_text,
+    url: item.url || item.external_url,
+    published: item.date_published || item.date_modified
+  }));
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF) or Atom document
+ */
+function parseXmlFeed(feedUrl, xml) {
+  const doc = xmlParser.parse(xml);
+
+  if (doc.feed) {
+    return toArray(doc.feed.entry).map(entry => toStory(feedUrl, {
+      id: textOf(entry.id),
+      title: textOf(entry.title),
+      url: atomLink(entry.link),
+      published: textOf(entry.published || entry.updated)
+    }));
+  }
+
+  const channelItems = doc.rss ? toArray(doc.rss.channel && doc.rss.channel.item) : [];
+  const rdfItems = doc['rdf:RDF'] ? toArray(doc['rdf:RDF'].item) : [];
+
+  return [...channelItems, ...rdfItems].map(item => toStory(feedUrl, {
+    id: textOf(item.guid),
+    title: textOf(item.title),
+    url: textOf(item.link) || (item.guid && item.guid['@_isPermaLink'] !== 'false' ? textOf(item.guid) : null),
+    comments: textOf(item['slash:comments']),
+    comments_url: textOf(item.comments) || null,
+    published: textOf(item.pubDate || item['dc:date'])
+  }));
+}
+
+/**
+ * Parse a feed document of any supported format into stories
+ * @param {string} feedUrl - URL the document was fetched from, used to namespace story ids
+ * @param {string} body - Raw response body
+ */
+function parseFeed(feedUrl, body) {
+  const trimmed = body.trim();
+  const stories = trimmed.startsWith('{') ?
+    parseJsonFeed(feedUrl, JSON.parse(trimmed)) :
+    parseXmlFeed(feedUrl, trimmed);
+
+  return stories.filter(story => story);
+}
+
+/**
+ * Fetch and parse a single feed
+ */
+async function fetchFeed(feedUrl) {
+  try {
+    const response = await axios.get(feedUrl, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'application/feed+json, application/atom+xml, application/rss+xml, application/xml;q=0.9, */*;q=0.8'
+      },
+      responseType: 'text',
+      timeout: 10000
+    });
+
+    return parseFeed(feedUrl, response.data);
+  } catch (error) {
+    console.error(`Error fetching feed ${feedUrl}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch stories from all configured feeds, newest first
+ */
+async function fetchFeedStories() {
+  const feedUrls = getSetting('feeds') || [];
+  if (feedUrls.length === 0) {
+    return [];
+  }
+
+  const results = await Promise.all(feedUrls.map(fetchFeed));
+  const stories = results.flat();
+
+  return stories.sort((a, b) => b.published_at - a.published_at);
+}
+
+module.exports = {
+  parseFeed,
+  fetchFeedStories
+};
@@ -0,0 +1,159 @@
+/**
+ * GitHub releases for watched repositories, plus optional trending repositories
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { USER_AGENT, GITHUB_RELEASE_MAX_AGE } = require('./config');
+const { getSetting } = require('./settings');
+const { mapWithConcurrency } = require('./async-utils');
+
+const GITHUB_API_URL = 'https://api.github.com';
+const GITHUB_TRENDING_URL = 'https://github.com/trending';
+const RELEASES_PER_REPO = 5;
+
+/**
+ * Normalize `owner/repo`, `github.com/owner/repo` or a full repository URL to `owner/repo`
+ */
+function parseRepoName(value) {
+  const match = /^(?:https?:\/\/)?(?:www\.)?(?:github\.com\/)?([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?(?:[#?].*)?$/i.exec((value || '').trim());
+  return match ? `${match[1]}/${match[2]}` : null;
+}
+
+/**
+ * Watched repositories from settings, normalized and deduplicated
+ */
+function getWatchedRepos() {
+  const repos = (getSetting('githubRepos') || []).map(parseRepoName).filter(Boolean);
+  return [...new Set(repos)];
+}
+
+/**
+ * Headers for api.github.com; GITHUB_TOKEN raises the rate limit from 60 to 5000 requests an hour
+ */
+function githubHeaders() {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/vnd.github+json'
+  };
+  if (process.env.GITHUB_TOKEN) {
+    headers['Authorization'] = `Bearer ${process.env.GITHUB_TOKEN}`;
+  }
+  return headers;
+}
+
+/**
+ * Turn a release from the API into a story; the release notes page is the discussion link
+ */
+function releaseToStory(repo, release) {
+  const tag = release.tag_name;
+  const name = (release.name || '').trim();
+
+  return {
+    id: `${repo}@${tag}`,
+    title: `${repo} ${name && name !== tag ? `${tag}: ${name}` : tag}`,
+    url: `https://github.com/${repo}/tree/${encodeURIComponent(tag)}`,
+    points: 0,
+    comments: 0,
+    comments_url: release.html_url,
+    published_at: new Date(release.published_at || release.created_at).getTime() || 0,
+    listing: 'releases'
+  };
+}
+
+/**
+ * Fetch recent published releases for one repository
+ */
+async function fetchRepoReleases(repo) {
+  try {
+    const response = await axios.get(`${GITHUB_API_URL}/repos/${repo}/releases`, {
+      params: { per_page: RELEASES_PER_REPO },
+      headers: githubHeaders(),
+      timeout: 10000
+    });
+
+    return response.data
+      .filter(release => !release.draft && !release.prerelease)
+      .map(release => releaseToStory(repo, release));
+  } catch (error) {
+    console.error(`Error fetching GitHub releases for ${repo}:`, error.response?.status || error.message);
+    return [];
+  }
+}
+
+/**
+ * Parse the github.com/trending page into stories
+ * @param {string} html - Raw page HTML
+ */
+function parseTrending(html) {
+  const $ = cheerio.load(html);
+  const stories = [];
+
+  $('article.Box-row').each((index, element) => {
+    const row = $(element);
+    const repo = parseRepoName((row.find('h2 a').first().attr('href') || '').replace(/^\//, ''));
+    if (!repo) return;
+
+    const description = row.find('p').first().text().replace(/\s+/g, ' ').trim();
+    const starsToday = row.text().match(/([\d,]+)\s+stars?\s+(?:today|this week|this month)/i);
+
+    stories.push({
+      id: repo,
+      title: description ? `${repo}: ${description}` : repo,
+      url: `https://github.com/${repo}`,
+      points: starsToday ? parseInt(starsToday[1].replace(/,/g, ''), 10) : 0,
+      comments: 0,
+      listing: 'trending'
+    });
+  });
+
+  return stories;
+}
+
+/**
+ * Fetch today's trending repositories
+ */
+async function fetchTrendingRepos() {
+  try {
+    const response = await axios.get(GITHUB_TRENDING_URL, {
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      responseType: 'text',
+      timeout: 10000
+    });
+
+    const stories = parseTrending(response.data);
+    if (stories.length === 0) {
+      console.warn('GitHub trending parsing failed - no repositories found');
+    }
+    return stories;
+  } catch (error) {
+    console.error('Error fetching GitHub trending:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Fetch new releases of watched repositories (newest first) and, if enabled, trending repositories
+ */
+async function fetchGitHubStories() {
+  const repos = getWatchedRepos();
+  const cutoff = Date.now() - GITHUB_RELEASE_MAX_AGE;
+
+  const releases = (await mapWithConcurrency(repos, 4, fetchRepoReleases))
+    .flat()
+    .filter(story => story.published_at >= cutoff)
+    .sort((a, b) => b.published_at - a.published_at);
+
+  const trending = getSetting('githubTrending') ? await fetchTrendingRepos() : [];
+
+  return [...releases, ...trending];
+}
+
+module.exports = {
+  parseRepoName,
+  getWatchedRepos,
+  parseTrending,
+  fetchGitHubStories
+};
@@ -0,0 +1,186 @@
+/**
+ * Mastodon hashtag and list timelines; posts that share a link become stories
+ */
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { USER_AGENT, MASTODON_INSTANCE } = require('./config');
+const { getSetting } = require('./settings');
+
+const TIMELINE_LIMIT = 40;
+
+// Tray labels for list timelines (`list:ID` -> 'List ID'), filled in as lists are fetched;
+// hashtag listings are labels already
+const listingLabels = {};
+
+/**
+ * Accept `hachyderm.io` as well as full base URLs like `http://localhost:3000`
+ */
+function instanceBaseUrl(instance) {
+  const trimmed = (instance || '').trim().replace(/\/+$/, '');
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+/**
+ * Parse a timeline entry: `#hashtag` (or a bare tag) or `list:ID`
+ * @returns {{type: 'tag'|'list', value: string}|null}
+ */
+function parseTimeline(line) {
+  const trimmed = (line || '').trim();
+  const list = /^list:(\w+)$/i.exec(trimmed);
+  if (list) return { type: 'list', value: list[1] };
+
+  const tag = /^#?([\p{L}\p{N}_]+)$/u.exec(trimmed);
+  return tag ? { type: 'tag', value: tag[1] } : null;
+}
+
+/**
+ * Configured timelines, as entered in the tray editor
+ */
+function getMastodonTimelines() {
+  return (getSetting('mastodonTimelines') || []).filter(line => parseTimeline(line));
+}
+
+/**
+ * Find the link a post shares: the preview card if Mastodon built one,
+ * otherwise the first link in the post that isn't a mention or hashtag
+ */
+function extractLink(status) {
+  if (status.card && status.card.url) {
+    return status.card.url;
+  }
+
+  const skip = new Set([
+    ...(status.mentions || []).map(mention => mention.url),
+    ...(status.tags || []).map(tag => tag.url)
+  ]);
+
+  const $ = cheerio.load(status.content || '');
+  const link = $('a[href]').toArray().find(anchor => {
+    const element = $(anchor);
+    const href = element.attr('href');
+    return /^https?:\/\//i.test(href) &&
+      !skip.has(href) &&
+      !element.hasClass('mention') &&
+      !element.hasClass('hashtag') &&
+      !element.text().trim().startsWith('#') &&
+      !element.text().trim().startsWith('@');
+  });
+
+  return link ? $(link).attr('href') : null;
+}
+
+/**
+ * Plain text of a post, for titles when the link has no card
+ */
+function statusText(status) {
+  const $ = cheerio.load((status.content || '').replace(/<br\s*\/?>|<\/p>/gi, ' '));
+  return $.root().text().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn a status into a story for the link it shares, or null if it has none
+ * @param {Object} status - Status from the Mastodon API
+ * @param {string} listing - Timeline the status came from, e.g. '#rust'
+ */
+function statusToStory(status, listing) {
+  // Boosts carry the original post, which holds the link and the counts
+  const post = status.reblog || status;
+  const url = extractLink(post);
+  if (!url) return null;
+
+  const text = statusText(post);
+  const cardTitle = post.card && post.card.title ? post.card.title.trim() : '';
+
+  return {
+    id: post.url || post.uri,
+    title: cardTitle || (text.length > 100 ? text.substring(0, 97) + '...' : text) || url,
+    url: url,
+    points: (post.reblogs_count || 0) + (post.favourites_count || 0),
+    comments: post.replies_count || 0,
+    comments_url: post.url || post.uri,
+    author: post.account ? post.account.acct : null,
+    published_at: new Date(post.created_at).getTime() || 0,
+    listing: listing
+  };
+}
+
+/**
+ * Fetch one timeline and return stories for the posts that share links
+ * @param {Object} options
+ * @param {string} options.instance - Instance host or base URL
+ * @param {string} options.timeline - `#hashtag` or `list:ID`
+ * @param {string} [options.token] - Access token; list timelines require one
+ * @param {number} [options.limit] - Posts to request (Mastodon caps this at 40)
+ */
+async function fetchMastodonTimeline({ instance, timeline, token, limit = TIMELINE_LIMIT }) {
+  const parsed = parseTimeline(timeline);
+  if (!parsed) {
+    throw new Error(`Invalid Mastodon timeline "${timeline}"`);
+  }
+  if (parsed.type === 'list' && !token) {
+    throw new Error('Mastodon list timelines need MASTODON_ACCESS_TOKEN');
+  }
+
+  const path = parsed.type === 'list' ?
+    `/api/v1/timelines/list/${encodeURIComponent(parsed.value)}` :
+    `/api/v1/timelines/tag/${encodeURIComponent(parsed.value)}`;
+
+  const headers = { 'User-Agent': USER_AGENT };
+  if (token) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+
+  const response = await axios.get(instanceBaseUrl(instance) + path, {
+    params: { limit },
+    headers: headers,
+    timeout: 10000
+  });
+
+  const listing = parsed.type === 'list' ? `list:${parsed.value}` : `#${parsed.value.toLowerCase()}`;
+  if (parsed.type === 'list') {
+    listingLabels[listing] = `List ${parsed.value}`;
+  }
+  return response.data.map(status => statusToStory(status, listing)).filter(story => story);
+}
+
+/**
+ * Fetch all configured timelines; a link shared in several posts is shown
+ * once, through its most boosted and favourited post
+ */
+async function fetchMastodonStories() {
+  const timelines = getMastodonTimelines();
+  if (timelines.length === 0) {
+    return [];
+  }
+
+  const token = process.env.MASTODON_ACCESS_TOKEN || null;
+  const results = await Promise.all(timelines.map(async (timeline) => {
+    try {
+      return await fetchMastodonTimeline({ instance: MASTODON_INSTANCE, timeline, token });
+    } catch (error) {
+      console.error(`Error fetching Mastodon timeline ${timeline}:`, error.response?.status || error.message);
+      return [];
+    }
+  }));
+
+  const byUrl = new Map();
+  results.flat().forEach(story => {
+    const existing = byUrl.get(story.url);
+    if (!existing || story.points > existing.points) {
+      byUrl.set(story.url, story);
+    }
+  });
+
+  return results.flat().filter(story => byUrl.get(story.url) === story);
+}
+
+module.exports = {
+  listingLabels,
+  parseTimeline,
+  getMastodonTimelines,
+  extractLink,
+  statusToStory,
+  fetchMastodonTimeline,
+  fetchMastodonStories
+};
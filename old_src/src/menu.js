@@ -4,7 +4,13 @@
 
 const { Tray, Menu, shell } = require('electron');
 const path = require('path');
-const { fetchHNStories, fetchRedditStories, fetchPinboardPopular } = require('./api-sources');
+const { getSource, fetchMenuStories, groupByListing, clearSourceCache } = require('./source-registry');
+const { getSetting, updateSettings } = require('./settings');
+const { getEnabledHNLists, getSubredditConfigs, parseSubredditLine, formatSubredditLine } = require('./api-sources');
+const { pushTagsToPinboard } = require('./pinboard-source');
+const { getWatchedRepos, parseRepoName } = require('./github-source');
+const { getArxivCategories, isValidCategory } = require('./arxiv-source');
+const { getMastodonTimelines, parseTimeline } = require('./mastodon-source');
 const { 
   trackStoryAppearance, 
   trackLinkAppearance,
@@ -22,12 +28,30 @@ const {
   saveArchiveUrl,
   searchStoriesByTags
 } = require('./database');
-const { promptForCustomTag, showArticleLibrary, promptForTagSearch, showDatabaseBrowser, showArticleBrowser } = require('./ui');
+const { promptForCustomTag, showArticleLibrary, promptForTagSearch, promptForList, promptForApiToken, showDatabaseBrowser, showArticleBrowser } = require('./ui');
 const { showTagSuggestionWindow, generateTagSuggestions } = require('./claude-integration');
+const repository = require('./repository');
+const { storyKey } = require('./story-key');
+const { listTokens, revokeToken } = require('./api-tokens');
+
+// Stories listed in the Rising submenu
+const RISING_MENU_LIMIT = 10;
 
 let tray = null;
 let currentSearchQuery = '';
 
+/**
+ * Reduce a URL to its origin (`https://example.com`), or null if it isn't one
+ */
+function parseOrigin(line) {
+  try {
+    const { origin } = new URL(line);
+    return origin === 'null' ? null : origin;
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Automatically generate and apply AI tags for a story
  */
@@ -37,21 +61,25 @@ async function autoGenerateAndApplyTags(storyId, title, url, source) {
     const result = await generateTagSuggestions(title, url);
     
     if (result.success && result.tags.length > 0) {
-      // Apply all suggested tags automatically in one operation
-      const { addMultipleTagsToStory, trackEngagement } = require('./database');
+      const { trackEngagement } = require('./database');
       
-      // Log individual tags for visibility
-      result.tags.forEach(tag => {
-        console.log(`🏷️ Auto-applied tag: ${tag}`);
-      });
-      
-      // Add all tags at once to avoid race conditions
-      addMultipleTagsToStory(storyId, result.tags);
+      // Add all tags at once to avoid race conditions, and only mirror them
+      // to Pinboard once they're saved
+      let saved;
+      try {
+        saved = await repository.tags.add(storyId, result.tags, source);
+      } catch (error) {
+        console.error(`❌ Could not save AI tags for story ${storyId}:`, error.message);
+        return;
+      }
       
       // Track engagement for AI tagging
       trackEngagement(storyId, source);
       
-      console.log(`✅ Auto-applied ${result.tags.length} AI tags [${result.source}]: ${result.tags.join(', ')}`);
+      console.log(`✅ Auto-applied ${result.tags.length} AI tags [${result.source}]: ${result.tags.join(', ')} (${saved.added.length} new)`);
+      
+      // Mirror the tags to the user's Pinboard account (no-op without a token)
+      pushTagsToPinboard(url, title, result.tags);
       
       // Refresh menu to show new tags
       setTimeout(updateMenu, 100);
@@ -91,16 +119,16 @@ function createSearchResultItems(searchResults) {
       let commentsUrl = story.comments_url;
       if (!commentsUrl && story.url.includes('reddit.com')) {
         commentsUrl = story.url;
-      } else if (!commentsUrl && typeof story.id === 'number') {
+      } else if (!commentsUrl && story.source === 'hn') {
         commentsUrl = `https://news.ycombinator.com/item?id=${story.id}`;
       }
-      trackArticleClick(story.id, 'search');
+      trackArticleClick(story.id, story.source);
       
       // Auto-generate and apply AI tags when link is clicked
-      autoGenerateAndApplyTags(story.id, story.title, story.url, 'search');
+      autoGenerateAndApplyTags(story.id, story.title, story.url, story.source);
       
       // Save archive URLs to database
-      saveArchiveUrl(story.id, story.url, archiveDirectUrl, 'search');
+      saveArchiveUrl(story.id, story.url, archiveDirectUrl, story.source);
       
       // 1. Open archive.ph submission URL (triggers archiving)
       shell.openExternal(archiveSubmissionUrl);
@@ -125,6 +153,101 @@ function createSearchResultItems(searchResults) {
   }));
 }
 
+/**
+ * Create the menu item for a story from a registered source
+ * @param {Object} story - Story as returned by the source
+ * @param {Object} source - Registered source definition
+ * @param {Array<{story, source}>} [duplicates] - The same link from other sources, shown as extra badges
+ */
+function createStoryItem(story, source, duplicates = []) {
+  const badges = [...new Set([source, ...duplicates.map(duplicate => duplicate.source)].map(s => s.emoji))].join('');
+  
+  return {
+    label: `${badges} ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
+    click: () => {
+      console.log(`${source.name} story clicked:`, story.title);
+      const articleUrl = source.getArticleUrl(story);
+      trackArticleClick(story.id, source.id);
+      
+      // Every source's discussion of this link, in menu order
+      const commentsUrls = [...new Set([
+        source.getCommentsUrl(story),
+        ...duplicates.map(duplicate => duplicate.source.getCommentsUrl(duplicate.story))
+      ])].filter(url => url && url !== articleUrl);
+      
+      // Auto-generate and apply AI tags when link is clicked
+      autoGenerateAndApplyTags(story.id, story.title, articleUrl, source.id);
+      
+      if (!articleUrl) {
+        // Self post: Just open the discussion
+        console.log(`${source.name} self post, opening discussion:`, commentsUrls[0]);
+        if (commentsUrls[0]) {
+          shell.openExternal(commentsUrls[0]);
+        }
+        return;
+      }
+      
+      // External link: Open archive + discussions + article (in that order)
+      const archiveSubmissionUrl = generateArchiveSubmissionUrl(articleUrl);
+      const archiveDirectUrl = generateArchiveDirectUrl(articleUrl);
+      
+      // Save archive URLs to database
+      saveArchiveUrl(story.id, articleUrl, archiveDirectUrl, source.id);
+      
+      // 1. Open archive.ph submission URL (triggers archiving)
+      shell.openExternal(archiveSubmissionUrl);
+      
+      // 2. Open direct archive.ph link
+      setTimeout(() => {
+        shell.openExternal(archiveDirectUrl);
+      }, 200);
+      
+      // 3. Open each source's discussion
+      commentsUrls.forEach((commentsUrl, index) => {
+        setTimeout(() => {
+          shell.openExternal(commentsUrl);
+        }, 400 + index * 200);
+      });
+      
+      // 4. Open the original article LAST (becomes active tab)
+      setTimeout(() => {
+        shell.openExternal(articleUrl);
+      }, 400 + commentsUrls.length * 200);
+    }
+  };
+}
+
+/**
+ * Menu items for the fastest rising stories that sources are showing now,
+ * labeled with the points and comments they gain per hour
+ * @param {Array} sourceStories - Stories fetched for the menu, per source
+ * @param {Map} duplicatesOf - Duplicates folded into each shown story
+ */
+async function createRisingItems(sourceStories, duplicatesOf) {
+  let rising;
+  try {
+    rising = await repository.stories.rising({ limit: RISING_MENU_LIMIT * 3 });
+  } catch (error) {
+    console.error('Error loading rising stories:', error);
+    return [];
+  }
+  
+  // Rising stories that dropped off their source are no longer worth a click
+  const fetched = new Map();
+  sourceStories.forEach(({ source, stories, duplicates }) => {
+    [...stories, ...duplicates].forEach(story => fetched.set(storyKey(source.id, story.id), { story, source }));
+  });
+  
+  return rising
+    .filter(entry => fetched.has(entry.storyKey))
+    .slice(0, RISING_MENU_LIMIT)
+    .map(entry => {
+      const { story, source } = fetched.get(entry.storyKey);
+      const item = createStoryItem(story, source, duplicatesOf.get(story));
+      return { ...item, label: `+${Math.round(entry.velocity)}/h ${item.label}` };
+    });
+}
+
 /**
  * Create system tray icon and initialize menu
  */
@@ -241,22 +364,13 @@ async function updateMenu() {
     });
   });
   
-  const allStories = await fetchHNStories();
-  const allRedditStories = await fetchRedditStories();
-  const allPinboardStories = await fetchPinboardPopular();
-  
-  // Story distribution optimized for menu length
-  const stories = allStories.slice(0, 13); // Top 13 HN stories
-  const redditStories = allRedditStories.slice(0, 15); // Top 15 Reddit stories
-  const pinboardStories = allPinboardStories.slice(0, 12); // Top 12 Pinboard stories
-  
-  console.log('Limited stories for menu:', stories.length, 'HN,', redditStories.length, 'Reddit,', pinboardStories.length, 'Pinboard');
-  console.log('Total fetched:', allStories.length, 'HN,', allRedditStories.length, 'Reddit,', allPinboardStories.length, 'Pinboard');
+  const { sourceStories, duplicatesOf, ranks } = await fetchMenuStories();
   
-  // Track all stories appearing in the menu with their specific sources
-  stories.forEach(story => trackLinkAppearance(story, 'hn'));
-  redditStories.forEach(story => trackLinkAppearance(story, 'reddit'));
-  pinboardStories.forEach(story => trackLinkAppearance(story, 'pinboard'));
+  // Track all stories appearing in the menu with their specific sources,
+  // including duplicates so every source's appearance is recorded
+  sourceStories.forEach(({ source, stories, duplicates }) => {
+    [...stories, ...duplicates].forEach(story => trackLinkAppearance(story, source.id, ranks.get(story)));
+  });
   
   const menuTemplate = [];
 
@@ -299,128 +413,31 @@ async function updateMenu() {
     );
   }
 
+  // Stories gaining traction fastest, across every source
+  const risingItems = await createRisingItems(sourceStories, duplicatesOf);
+  if (risingItems.length > 0) {
+    menuTemplate.push({
+      label: `📈 Rising (${risingItems.length})`,
+      submenu: risingItems
+    });
+  }
   
-  const storyItems = stories.map((story, index) => {
-    console.log(`Creating HN story item ${index}:`, story.title);
-    return {
-      label: `🟠 ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
-      click: () => {
-        console.log('HN story clicked:', story.title);
-        const hnDiscussionUrl = `https://news.ycombinator.com/item?id=${story.id}`;
-        trackArticleClick(story.id, 'hn');
-        
-        // Auto-generate and apply AI tags when link is clicked
-        autoGenerateAndApplyTags(story.id, story.title, story.url, 'hn');
-        
-        if (story.url) {
-          // External link: Open archive + discussion + article (in that order)
-          const articleUrl = story.url;
-          console.log('HN story URL:', articleUrl);
-          
-          const archiveSubmissionUrl = generateArchiveSubmissionUrl(articleUrl);
-          const archiveDirectUrl = generateArchiveDirectUrl(articleUrl);
-          
-          // Save archive URLs to database
-          saveArchiveUrl(story.id, articleUrl, archiveDirectUrl, 'hn');
-          
-          // 1. Open archive.ph submission URL (triggers archiving)
-          shell.openExternal(archiveSubmissionUrl);
-          
-          // 2. Open direct archive.ph link
-          setTimeout(() => {
-            shell.openExternal(archiveDirectUrl);
-          }, 200);
-          
-          // 3. Open HN discussion
-          setTimeout(() => {
-            shell.openExternal(hnDiscussionUrl);
-          }, 400);
-          
-          // 4. Open the original article LAST (becomes active tab)
-          setTimeout(() => {
-            shell.openExternal(articleUrl);
-          }, 600);
-        } else {
-          // Self post: Just open HN discussion
-          console.log('HN self post, opening discussion:', hnDiscussionUrl);
-          shell.openExternal(hnDiscussionUrl);
-        }
-      }
-    };
-  });
-  
-  menuTemplate.push(...storyItems);
-  
-  const redditStoryItems = redditStories.map(story => ({
-    label: `👽 ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
-    click: () => {
-      console.log('Reddit story clicked:', story.title);
-      // For Reddit: open archive + actual content + Reddit discussion (in that order)
-      const targetUrl = story.is_self ? story.url : story.actual_url;
-      const redditCommentsUrl = story.url; // Reddit discussion URL
-      const archiveSubmissionUrl = generateArchiveSubmissionUrl(targetUrl);
-      const archiveDirectUrl = generateArchiveDirectUrl(targetUrl);
-      trackArticleClick(story.id, 'reddit');
-      
-      // Auto-generate and apply AI tags when link is clicked
-      autoGenerateAndApplyTags(story.id, story.title, targetUrl, 'reddit');
-      
-      // Save archive URLs to database
-      saveArchiveUrl(story.id, targetUrl, archiveDirectUrl, 'reddit');
-      
-      // 1. Open archive.ph submission URL (triggers archiving)
-      shell.openExternal(archiveSubmissionUrl);
-      
-      // 2. Open direct archive.ph link
-      setTimeout(() => {
-        shell.openExternal(archiveDirectUrl);
-      }, 200);
-      
-      // 3. Open Reddit discussion page
-      setTimeout(() => {
-        shell.openExternal(story.url); // This is always the Reddit discussion URL
-      }, 400);
-      
-      // 4. Open the actual article content LAST (becomes active tab)
-      setTimeout(() => {
-        shell.openExternal(targetUrl);
-      }, 600);
-    }
-  }));
-  
-  menuTemplate.push(...redditStoryItems);
-  
-  const pinboardStoryItems = pinboardStories.map(story => ({
-    label: `📌 ${story.title.length > 75 ? story.title.substring(0, 72) + '...' : story.title}`,
-    click: () => {
-      console.log('Pinboard story clicked:', story.title);
-      // For Pinboard: open archive + article (no discussion)
-      const archiveSubmissionUrl = generateArchiveSubmissionUrl(story.url);
-      const archiveDirectUrl = generateArchiveDirectUrl(story.url);
-      trackArticleClick(story.id, 'pinboard');
-      
-      // Auto-generate and apply AI tags when link is clicked
-      autoGenerateAndApplyTags(story.id, story.title, story.url, 'pinboard');
-      
-      // Save archive URLs to database
-      saveArchiveUrl(story.id, story.url, archiveDirectUrl, 'pinboard');
-      
-      // 1. Open archive.ph submission URL (triggers archiving)
-      shell.openExternal(archiveSubmissionUrl);
-      
-      // 2. Open direct archive.ph link
-      setTimeout(() => {
-        shell.openExternal(archiveDirectUrl);
-      }, 200);
-      
-      // 3. Open the original article LAST (becomes active tab)
-      setTimeout(() => {
-        shell.openExternal(story.url);
-      }, 400);
+  sourceStories.forEach(({ source, stories }) => {
+    const listings = groupByListing(stories);
+    
+    if (listings.length > 1) {
+      // Several listings enabled (e.g. HN top + best): one labeled submenu each
+      listings.forEach(({ listing, stories: listingStories }) => {
+        const listingLabel = source.listingLabels[listing] || listing || 'Other';
+        menuTemplate.push({
+          label: `${source.emoji} ${source.name}: ${listingLabel} (${listingStories.length})`,
+          submenu: listingStories.map(story => createStoryItem(story, source, duplicatesOf.get(story)))
+        });
+      });
+    } else {
+      menuTemplate.push(...stories.map(story => createStoryItem(story, source, duplicatesOf.get(story))));
     }
-  }));
-  
-  menuTemplate.push(...pinboardStoryItems);
+  });
   
   menuTemplate.push(
     { type: 'separator' },
@@ -438,6 +455,148 @@ async function updateMenu() {
           updateMenu(); // Refresh menu with search results
         });
       }
+    },
+    {
+      label: '🟠 HN Lists',
+      submenu: Object.entries(getSource('hn').listingLabels).map(([list, label]) => ({
+        label: label,
+        type: 'checkbox',
+        checked: getEnabledHNLists().includes(list),
+        click: () => {
+          const enabled = getEnabledHNLists();
+          const hnLists = enabled.includes(list) ?
+            enabled.filter(item => item !== list) :
+            Object.keys(getSource('hn').listingLabels).filter(item => item === list || enabled.includes(item));
+          if (hnLists.length === 0) {
+            // At least one list stays on; redraw to undo the checkbox toggle
+            updateMenu();
+            return;
+          }
+          updateSettings({ hnLists });
+          clearSourceCache('hn');
+          updateMenu();
+        }
+      }))
+    },
+    {
+      label: '📰 Manage Feeds',
+      click: () => {
+        promptForList({
+          title: '📰 Manage Feeds',
+          helpText: 'One RSS, Atom or JSON Feed URL per line',
+          placeholder: 'https://example.com/feed.xml',
+          values: getSetting('feeds') || []
+        }, (feeds) => {
+          updateSettings({ feeds });
+          clearSourceCache('feeds');
+          updateMenu(); // Refresh menu with the new feed list
+        });
+      }
+    },
+    {
+      label: '👽 Manage Subreddits',
+      click: () => {
+        promptForList({
+          title: '👽 Manage Subreddits',
+          helpText: 'One subreddit per line: name [hot|new|top|rising] [hour|day|week|month|year|all] [limit=N] [min=N]',
+          placeholder: 'programming top week limit=15 min=100',
+          values: getSubredditConfigs().map(formatSubredditLine)
+        }, (lines) => {
+          updateSettings({ subreddits: lines.map(parseSubredditLine).filter(config => config.name) });
+          clearSourceCache('reddit');
+          updateMenu(); // Refresh menu with the new subreddit settings
+        });
+      }
+    },
+    {
+      label: '🐙 Watch GitHub Releases',
+      click: () => {
+        promptForList({
+          title: '🐙 Watch GitHub Releases',
+          helpText: 'One repository per line as owner/repo or a github.com URL',
+          placeholder: 'electron/electron',
+          values: getWatchedRepos()
+        }, (lines) => {
+          updateSettings({ githubRepos: [...new Set(lines.map(parseRepoName).filter(Boolean))] });
+          clearSourceCache('github');
+          updateMenu(); // Refresh menu with the new repository list
+        });
+      }
+    },
+    {
+      label: '🐙 Show GitHub Trending',
+      type: 'checkbox',
+      checked: Boolean(getSetting('githubTrending')),
+      click: () => {
+        updateSettings({ githubTrending: !getSetting('githubTrending') });
+        clearSourceCache('github');
+        updateMenu();
+      }
+    },
+    {
+      label: '📄 Manage arXiv Categories',
+      click: () => {
+        promptForList({
+          title: '📄 Manage arXiv Categories',
+          helpText: 'One arXiv category per line, e.g. cs.LG or cs.PL',
+          placeholder: 'cs.LG',
+          values: getArxivCategories()
+        }, (categories) => {
+          updateSettings({ arxivCategories: categories.filter(isValidCategory) });
+          clearSourceCache('arxiv');
+          updateMenu(); // Refresh menu with the new categories
+        });
+      }
+    },
+    {
+      label: '🐘 Manage Mastodon Timelines',
+      click: () => {
+        promptForList({
+          title: '🐘 Manage Mastodon Timelines',
+          helpText: 'One timeline per line: #hashtag, or list:ID for one of your lists (needs MASTODON_ACCESS_TOKEN)',
+          placeholder: '#rust',
+          values: getMastodonTimelines()
+        }, (timelines) => {
+          updateSettings({ mastodonTimelines: timelines.filter(timeline => parseTimeline(timeline)) });
+          clearSourceCache('mastodon');
+          updateMenu(); // Refresh menu with the new timelines
+        });
+      }
+    },
+    {
+      label: '🔑 API Tokens',
+      submenu: [
+        {
+          label: '➕ New Token...',
+          click: () => {
+            promptForApiToken(() => updateMenu());
+          }
+        },
+        {
+          label: '🌐 Allowed Origins...',
+          click: () => {
+            promptForList({
+              title: '🌐 Allowed Origins',
+              helpText: 'Web pages allowed to call the API from a browser, one origin per line. They still need a token.',
+              placeholder: 'https://example.com',
+              values: getSetting('apiAllowedOrigins') || []
+            }, (lines) => {
+              updateSettings({ apiAllowedOrigins: [...new Set(lines.map(parseOrigin).filter(Boolean))] });
+            });
+          }
+        },
+        { type: 'separator' },
+        ...listTokens().map(token => ({
+          label: `${token.name} (${token.lastUsedAt ? `used ${token.lastUsedAt.slice(0, 10)}` : 'never used'})`,
+          submenu: [{
+            label: '🗑️ Revoke',
+            click: () => {
+              revokeToken(token.id);
+              updateMenu();
+            }
+          }]
+        }))
+      ]
     }
   );
 
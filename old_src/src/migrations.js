@@ -0,0 +1,688 @@
+/**
+ * Versioned schema migrations for clicks.db
+ *
+ * Migrations run once each, in version order, and every one is applied in
+ * its own transaction: if it fails, none of its changes are kept and later
+ * migrations wait for the next launch. Applied versions are recorded in the
+ * `schema_version` table. Add new migrations to the end of MIGRATIONS with
+ * the next version number; never change one that has already shipped.
+ *
+ * Databases created before versioning have no `schema_version` rows, so
+ * every migration must also be safe to run against tables and columns that
+ * already exist (use `addColumn` and `IF NOT EXISTS`).
+ */
+
+const { canonicalizeUrl } = require('./canonical-url');
+const { legacyStoryId, deriveNativeId, legacyStoryKey } = require('./story-key');
+
+// Sources whose story ids have always been the source's own id, so a stored
+// row can be checked against the id it was saved under
+const NATIVE_ID_SOURCES = new Set(['reddit', 'lobsters', 'github', 'arxiv', 'mastodon', 'pinboard-mine']);
+
+const LINK_SOURCES_SCHEMA = `CREATE TABLE IF NOT EXISTS link_sources (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  link_id INTEGER NOT NULL,
+  source TEXT NOT NULL,
+  story_key TEXT NOT NULL UNIQUE,
+  story_id INTEGER,
+  comments_url TEXT,
+  listing TEXT,
+  points INTEGER,
+  comments INTEGER,
+  first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  times_appeared INTEGER DEFAULT 1,
+  FOREIGN KEY (link_id) REFERENCES links(id)
+)`;
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'Initial schema',
+    up: async ({ run, all, hasColumn }) => {
+      // Legacy clicks table (keeping existing structure for migration)
+      await run(`CREATE TABLE IF NOT EXISTS clicks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        points INTEGER,
+        comments INTEGER,
+        story_added_at DATETIME,
+        clicked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // Links table for tracking story appearances and engagement
+      await run(`CREATE TABLE IF NOT EXISTS links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        comments_url TEXT,
+        source TEXT NOT NULL,
+        points INTEGER,
+        comments INTEGER,
+        viewed BOOLEAN DEFAULT FALSE,
+        viewed_at DATETIME,
+        engaged BOOLEAN DEFAULT FALSE,
+        engaged_at DATETIME,
+        engagement_count INTEGER DEFAULT 0,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        times_appeared INTEGER DEFAULT 1,
+        archive_url TEXT,
+        tags TEXT
+      )`);
+
+      // Main stories table (consolidated from old links table)
+      await run(`CREATE TABLE IF NOT EXISTS stories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        url TEXT NOT NULL,
+        comments_url TEXT,
+        source TEXT NOT NULL,
+        points INTEGER,
+        comments INTEGER,
+        viewed BOOLEAN DEFAULT FALSE,
+        viewed_at DATETIME,
+        engaged BOOLEAN DEFAULT FALSE,
+        engaged_at DATETIME,
+        engagement_count INTEGER DEFAULT 0,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        times_appeared INTEGER DEFAULT 1,
+        archive_url TEXT
+      )`);
+
+      // Normalized tags table
+      await run(`CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        story_id INTEGER NOT NULL,
+        tag TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (story_id) REFERENCES stories(id),
+        UNIQUE(story_id, tag)
+      )`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_tags_story_id ON tags(story_id)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_tags_tag ON tags(tag)`);
+
+      // Persistent cache of Hacker News item JSON, keyed by item id
+      await run(`CREATE TABLE IF NOT EXISTS hn_item_cache (
+        item_id INTEGER PRIMARY KEY,
+        data TEXT NOT NULL,
+        fetched_at INTEGER NOT NULL
+      )`);
+
+      // Saved article content
+      await run(`CREATE TABLE IF NOT EXISTS articles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL UNIQUE,
+        title TEXT NOT NULL,
+        domain TEXT,
+        click_count INTEGER DEFAULT 0,
+        author TEXT,
+        publish_date TEXT,
+        content TEXT,
+        text_content TEXT,
+        word_count INTEGER,
+        reading_time INTEGER,
+        saved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_clicked_at DATETIME,
+        tags TEXT,
+        notes TEXT,
+        archive_path TEXT,
+        archive_date DATETIME,
+        file_size INTEGER,
+        description TEXT
+      )`);
+
+      // Full-text search over articles, kept in sync by triggers
+      await run(`CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+        title,
+        author,
+        text_content,
+        tags,
+        content='articles',
+        content_rowid='id'
+      )`);
+      await run(`CREATE TRIGGER IF NOT EXISTS articles_ai AFTER INSERT ON articles BEGIN
+        INSERT INTO articles_fts(rowid, title, author, text_content, tags)
+        VALUES (new.id, new.title, new.author, new.text_content, new.tags);
+      END`);
+      await run(`CREATE TRIGGER IF NOT EXISTS articles_ad AFTER DELETE ON articles BEGIN
+        INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags)
+        VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
+      END`);
+      await run(`CREATE TRIGGER IF NOT EXISTS articles_au AFTER UPDATE ON articles BEGIN
+        INSERT INTO articles_fts(articles_fts, rowid, title, author, text_content, tags)
+        VALUES ('delete', old.id, old.title, old.author, old.text_content, old.tags);
+        INSERT INTO articles_fts(rowid, title, author, text_content, tags)
+        VALUES (new.id, new.title, new.author, new.text_content, new.tags);
+      END`);
+
+      // Copy links into the stories table (once per link)
+      await run(`INSERT INTO stories (story_id, title, url, comments_url, source, points, comments,
+        viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared)
+        SELECT story_id, title, url, comments_url, source, points, comments,
+        viewed, viewed_at, engaged, engaged_at, engagement_count, first_seen_at, last_seen_at, times_appeared
+        FROM links
+        WHERE NOT EXISTS (SELECT 1 FROM stories s WHERE s.story_id = links.story_id AND s.source = links.source)`);
+
+      // Extract comma-separated tags from old stories tables into the tags table
+      if (await hasColumn('stories', 'tags')) {
+        const rows = await all(`SELECT id, tags FROM stories WHERE tags IS NOT NULL AND tags != ''`);
+        for (const row of rows) {
+          const tags = row.tags.split(',').map(tag => tag.trim()).filter(tag => tag);
+          for (const tag of tags) {
+            await run(`INSERT OR IGNORE INTO tags (story_id, tag) VALUES (?, ?)`, [row.id, tag]);
+          }
+        }
+      }
+    }
+  },
+  {
+    version: 2,
+    name: 'Click details',
+    up: async ({ addColumn }) => {
+      await addColumn('clicks', 'points', 'INTEGER');
+      await addColumn('clicks', 'comments', 'INTEGER');
+      await addColumn('clicks', 'story_added_at', 'DATETIME');
+      await addColumn('clicks', 'archive_url', 'TEXT');
+      await addColumn('clicks', 'tags', 'TEXT');
+      await addColumn('clicks', 'comments_url', 'TEXT');
+      await addColumn('clicks', 'link_id', 'INTEGER');
+      await addColumn('clicks', 'click_type', 'TEXT');
+    }
+  },
+  {
+    version: 3,
+    name: 'Link listings',
+    up: async ({ addColumn }) => {
+      // Which listing of a source a link came from (e.g. HN 'best' or 'ask')
+      await addColumn('links', 'listing', 'TEXT');
+    }
+  },
+  {
+    version: 4,
+    name: 'Article click counts',
+    up: async ({ addColumn }) => {
+      await addColumn('articles', 'domain', 'TEXT');
+      await addColumn('articles', 'click_count', 'INTEGER DEFAULT 0');
+      await addColumn('articles', 'last_clicked_at', 'DATETIME');
+    }
+  },
+  {
+    version: 5,
+    name: 'Canonical URLs and link sources',
+    up: async (helpers) => {
+      const { run } = helpers;
+
+      // Canonical form of links.url, so one article seen on several sources is stored once
+      await helpers.addColumn('links', 'canonical_url', 'TEXT');
+      await run(`CREATE INDEX IF NOT EXISTS idx_links_canonical_url ON links(canonical_url)`);
+
+      // Every (source, story_id) a link has appeared under - one row per source for merged links
+      await run(`CREATE TABLE IF NOT EXISTS link_sources (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link_id INTEGER NOT NULL,
+        source TEXT NOT NULL,
+        story_id INTEGER NOT NULL,
+        comments_url TEXT,
+        listing TEXT,
+        points INTEGER,
+        comments INTEGER,
+        first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        times_appeared INTEGER DEFAULT 1,
+        FOREIGN KEY (link_id) REFERENCES links(id),
+        UNIQUE(source, story_id)
+      )`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_link_sources_link_id ON link_sources(link_id)`);
+
+      await backfillCanonicalUrls(helpers);
+    }
+  },
+  {
+    version: 6,
+    name: 'Story keys',
+    up: async (helpers) => {
+      const { run, addColumn } = helpers;
+
+      // Collision-free story identity (`source:nativeId`); story_id holds the legacy integer
+      await addColumn('links', 'story_key', 'TEXT');
+      await addColumn('stories', 'story_key', 'TEXT');
+      await addColumn('clicks', 'story_key', 'TEXT');
+      await addColumn('tags', 'story_key', 'TEXT');
+      await run(`CREATE INDEX IF NOT EXISTS idx_links_story_key ON links(story_key)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_stories_story_key ON stories(story_key)`);
+
+      // Rows found to have been shared by different stories under the old integer ids
+      await run(`CREATE TABLE IF NOT EXISTS story_key_collisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        table_name TEXT NOT NULL,
+        row_id INTEGER,
+        source TEXT,
+        story_id INTEGER,
+        story_key TEXT,
+        detail TEXT,
+        detected_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      await migrateStoryKeys(helpers);
+    }
+  },
+  {
+    version: 7,
+    name: 'Normalized tags',
+    up: async (helpers) => {
+      await normalizeTags(helpers);
+    }
+  },
+  {
+    version: 8,
+    name: 'Story snapshots',
+    up: async ({ run }) => {
+      // Points, comments and rank each time a source showed a story, so the
+      // values links and link_sources overwrite are kept as a time series
+      await run(`CREATE TABLE IF NOT EXISTS story_snapshots (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link_id INTEGER NOT NULL,
+        story_key TEXT NOT NULL,
+        source TEXT NOT NULL,
+        listing TEXT,
+        points INTEGER,
+        comments INTEGER,
+        rank INTEGER,
+        seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (link_id) REFERENCES links(id)
+      )`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_story_snapshots_story_key ON story_snapshots(story_key, seen_at)`);
+      await run(`CREATE INDEX IF NOT EXISTS idx_story_snapshots_link_id ON story_snapshots(link_id, seen_at)`);
+
+      // Start every known story's series with the last values it was seen with
+      await run(`INSERT INTO story_snapshots (link_id, story_key, source, listing, points, comments, seen_at)
+        SELECT link_id, story_key, source, listing, points, comments, last_seen_at FROM link_sources
+        WHERE story_key NOT IN (SELECT story_key FROM story_snapshots)`);
+    }
+  }
+];
+
+/**
+ * Promise helpers around a sqlite3 database, handed to each migration
+ */
+function createHelpers(db) {
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err); else resolve(this);
+    });
+  });
+
+  const hasColumn = async (table, column) => {
+    const columns = await all(`PRAGMA table_info(${table})`);
+    return columns.some(info => info.name === column);
+  };
+
+  // ALTER TABLE ... ADD COLUMN, skipped when an older database already has the column
+  const addColumn = async (table, column, definition) => {
+    if (!(await hasColumn(table, column))) {
+      await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  };
+
+  return { db, all, run, hasColumn, addColumn };
+}
+
+/**
+ * Give links saved before canonical URLs existed a canonical_url and a
+ * link_sources row, then merge links that turn out to be the same article
+ */
+async function backfillCanonicalUrls({ all, run }) {
+  const rows = await all(`SELECT id, story_id, url, comments_url, source, listing, points, comments,
+    first_seen_at, last_seen_at, times_appeared
+    FROM links WHERE canonical_url IS NULL`);
+  if (rows.length === 0) return;
+
+  console.log(`🔗 Computing canonical URLs for ${rows.length} links`);
+  for (const row of rows) {
+    await run('UPDATE links SET canonical_url = ? WHERE id = ?', [canonicalizeUrl(row.url) || row.url, row.id]);
+    await run(`INSERT OR IGNORE INTO link_sources
+      (link_id, source, story_id, comments_url, listing, points, comments, first_seen_at, last_seen_at, times_appeared)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.id, row.source, row.story_id, row.comments_url, row.listing, row.points, row.comments,
+        row.first_seen_at, row.last_seen_at, row.times_appeared]);
+  }
+
+  const groups = await all(`SELECT canonical_url, GROUP_CONCAT(id) as ids FROM links
+    GROUP BY canonical_url HAVING COUNT(*) > 1`);
+  for (const group of groups) {
+    const ids = group.ids.split(',').map(Number).sort((a, b) => a - b);
+    await mergeLinks({ all, run }, ids[0], ids.slice(1));
+  }
+}
+
+/**
+ * Fold duplicate links into the oldest one, keeping their clicks, tags,
+ * engagement and source appearances
+ */
+async function mergeLinks({ all, run }, keepId, duplicateIds) {
+  const ids = [keepId, ...duplicateIds];
+  const placeholders = duplicateIds.map(() => '?').join(',');
+
+  const rows = await all(`SELECT * FROM links WHERE id IN (${ids.map(() => '?').join(',')}) ORDER BY id`, ids);
+  if (rows.length < 2) return;
+
+  const tags = new Set();
+  rows.forEach(row => (row.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag).forEach(tag => tags.add(tag)));
+  const earliest = (column) => rows.map(row => row[column]).filter(value => value).sort()[0] || null;
+  const latest = (column) => rows.map(row => row[column]).filter(value => value).sort().pop() || null;
+
+  await run(`UPDATE links SET
+    tags = ?,
+    viewed = ?,
+    viewed_at = ?,
+    engaged = ?,
+    engaged_at = ?,
+    engagement_count = ?,
+    times_appeared = ?,
+    first_seen_at = ?,
+    last_seen_at = ?,
+    archive_url = COALESCE(archive_url, ?)
+    WHERE id = ?`,
+    [
+      tags.size > 0 ? [...tags].join(',') : null,
+      rows.some(row => row.viewed) ? 1 : 0,
+      earliest('viewed_at'),
+      rows.some(row => row.engaged) ? 1 : 0,
+      earliest('engaged_at'),
+      rows.reduce((sum, row) => sum + (row.engagement_count || 0), 0),
+      rows.reduce((sum, row) => sum + (row.times_appeared || 0), 0),
+      earliest('first_seen_at'),
+      latest('last_seen_at'),
+      rows.map(row => row.archive_url).find(url => url) || null,
+      keepId
+    ]);
+  await run(`UPDATE link_sources SET link_id = ? WHERE link_id IN (${placeholders})`, [keepId, ...duplicateIds]);
+  await run(`UPDATE clicks SET link_id = ? WHERE link_id IN (${placeholders})`, [keepId, ...duplicateIds]);
+  await run(`DELETE FROM links WHERE id IN (${placeholders})`, duplicateIds);
+  console.log(`🔗 Merged ${duplicateIds.length} duplicate link(s) into link ${keepId}`);
+}
+
+/**
+ * Give rows saved with integer story ids a story_key, recovering each
+ * story's native id from its URLs, and record rows that turn out to have
+ * been shared by two different stories
+ */
+async function migrateStoryKeys(helpers) {
+  const { all, run, hasColumn } = helpers;
+  const collisions = [];
+
+  const links = await all('SELECT id, story_id, source, url, comments_url FROM links WHERE story_key IS NULL');
+  if (links.length > 0) {
+    console.log(`🔑 Assigning story keys to ${links.length} links`);
+    for (const link of links) {
+      link.story_key = legacyStoryKey(link);
+      await run('UPDATE links SET story_key = ? WHERE id = ?', [link.story_key, link.id]);
+
+      // The row was updated in place by a later story whose id hashed the same
+      const nativeId = deriveNativeId(link);
+      if (nativeId && NATIVE_ID_SOURCES.has(link.source) && legacyStoryId(nativeId) !== link.story_id) {
+        collisions.push({
+          kind: 'overwritten', table: 'links', rowId: link.id, source: link.source, storyId: link.story_id,
+          storyKey: link.story_key, detail: `holds ${link.story_key}, whose id hashes to ${legacyStoryId(nativeId)}`
+        });
+      }
+    }
+
+    const shared = await all(`SELECT source, story_id, GROUP_CONCAT(id) AS ids, GROUP_CONCAT(story_key, ' ') AS story_keys
+      FROM links GROUP BY source, story_id HAVING COUNT(DISTINCT story_key) > 1`);
+    shared.forEach(group => collisions.push({
+      kind: 'shared_id', table: 'links', rowId: null, source: group.source, storyId: group.story_id,
+      storyKey: null, detail: `links ${group.ids} are different stories: ${group.story_keys}`
+    }));
+  }
+
+  if (!(await hasColumn('link_sources', 'story_key'))) {
+    await rebuildLinkSources(helpers);
+  }
+
+  await run(`UPDATE stories SET story_key = (
+      SELECT story_key FROM links
+      WHERE links.source = stories.source AND links.story_id = stories.story_id AND links.url = stories.url
+      LIMIT 1)
+    WHERE story_key IS NULL`);
+  const stories = await all('SELECT id, story_id, source, url, comments_url FROM stories WHERE story_key IS NULL');
+  for (const story of stories) {
+    await run('UPDATE stories SET story_key = ? WHERE id = ?', [legacyStoryKey(story), story.id]);
+  }
+  await run(`UPDATE tags SET story_key = (SELECT story_key FROM stories WHERE stories.id = tags.story_id)
+    WHERE story_key IS NULL`);
+
+  const clicks = await all(`SELECT c.id, c.story_id, c.url, c.link_id, l.url AS link_url, l.comments_url AS link_comments_url, l.source
+    FROM clicks c LEFT JOIN links l ON l.id = c.link_id
+    WHERE c.story_key IS NULL`);
+  if (clicks.length > 0) {
+    // Prefer the appearance the click was made from, for clicks on merged links
+    await run(`UPDATE clicks SET story_key = COALESCE(
+        (SELECT story_key FROM link_sources WHERE link_sources.link_id = clicks.link_id AND link_sources.story_id = clicks.story_id LIMIT 1),
+        (SELECT story_key FROM links WHERE links.id = clicks.link_id),
+        (SELECT story_key FROM links WHERE links.story_id = clicks.story_id AND links.url = clicks.url LIMIT 1))
+      WHERE story_key IS NULL`);
+
+    // Older Reddit links stored the permalink as their URL, so either URL of the link counts
+    const sameUrl = (a, b) => Boolean(a && b) && (canonicalizeUrl(a) || a) === (canonicalizeUrl(b) || b);
+    clicks
+      .filter(click => click.link_url && !sameUrl(click.url, click.link_url) && !sameUrl(click.url, click.link_comments_url))
+      .forEach(click => collisions.push({
+        kind: 'click_mismatch', table: 'clicks', rowId: click.id, source: click.source, storyId: click.story_id,
+        storyKey: null, detail: `clicked ${click.url} but link ${click.link_id} now holds ${click.link_url}`
+      }));
+  }
+
+  if (collisions.length > 0) {
+    for (const collision of collisions) {
+      await run(`INSERT INTO story_key_collisions (kind, table_name, row_id, source, story_id, story_key, detail)
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [collision.kind, collision.table, collision.rowId, collision.source, collision.storyId, collision.storyKey, collision.detail]);
+    }
+
+    const counts = {};
+    collisions.forEach(collision => counts[collision.kind] = (counts[collision.kind] || 0) + 1);
+    console.warn(`⚠️ Found ${collisions.length} story id collision(s) in existing data (${Object.entries(counts).map(([kind, count]) => `${kind}: ${count}`).join(', ')}); details in the story_key_collisions table`);
+  }
+}
+
+/**
+ * Recreate link_sources keyed by story_key instead of UNIQUE(source, story_id)
+ */
+async function rebuildLinkSources({ all, run }) {
+  const rows = await all(`SELECT ls.*, l.url, l.source AS link_source, l.story_id AS link_story_id, l.story_key AS link_story_key
+    FROM link_sources ls LEFT JOIN links l ON l.id = ls.link_id`);
+  console.log(`🔑 Rebuilding link_sources with story keys (${rows.length} rows)`);
+
+  await run('ALTER TABLE link_sources RENAME TO link_sources_legacy');
+  await run('DROP INDEX IF EXISTS idx_link_sources_link_id');
+  await run(LINK_SOURCES_SCHEMA);
+  await run('CREATE INDEX IF NOT EXISTS idx_link_sources_link_id ON link_sources(link_id)');
+
+  for (const row of rows) {
+    const key = row.link_source === row.source && row.link_story_id === row.story_id && row.link_story_key ?
+      row.link_story_key :
+      legacyStoryKey(row);
+    await run(`INSERT OR IGNORE INTO link_sources
+      (link_id, source, story_key, story_id, comments_url, listing, points, comments, first_seen_at, last_seen_at, times_appeared)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [row.link_id, row.source, key, row.story_id, row.comments_url, row.listing, row.points, row.comments,
+        row.first_seen_at, row.last_seen_at, row.times_appeared]);
+  }
+
+  await run('DROP TABLE link_sources_legacy');
+}
+
+/**
+ * Move every tag into one `tags` table keyed by link: the old story-keyed
+ * tags rows plus the comma-separated `links.tags`, `clicks.tags` and
+ * `stories.tags` columns, which are then dropped
+ */
+async function normalizeTags({ all, run, hasColumn }) {
+  const tagged = new Map();
+  const addTags = (linkId, value, createdAt = null) => {
+    if (!linkId || !value) return;
+    String(value).split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag).forEach(tag => {
+      const key = `${linkId}\n${tag}`;
+      const existing = tagged.get(key);
+      if (!existing || (createdAt && (!existing.createdAt || createdAt < existing.createdAt))) {
+        tagged.set(key, { linkId, tag, createdAt });
+      }
+    });
+  };
+
+  // Existing rows point at the stories table; follow their story key to the link
+  const tagRows = await all(`SELECT t.tag, t.created_at, COALESCE(t.story_key, s.story_key) AS story_key
+    FROM tags t LEFT JOIN stories s ON s.id = t.story_id`);
+  const linkIdByKey = new Map();
+  (await all(`SELECT story_key, link_id FROM link_sources
+    UNION ALL SELECT story_key, id FROM links WHERE story_key IS NOT NULL`))
+    .forEach(row => linkIdByKey.set(row.story_key, row.link_id));
+  let orphaned = 0;
+  tagRows.forEach(row => {
+    const linkId = linkIdByKey.get(row.story_key);
+    if (linkId) addTags(linkId, row.tag, row.created_at); else orphaned++;
+  });
+
+  if (await hasColumn('links', 'tags')) {
+    (await all(`SELECT id, tags FROM links WHERE tags IS NOT NULL AND tags != ''`)).forEach(row => addTags(row.id, row.tags));
+  }
+  if (await hasColumn('clicks', 'tags')) {
+    (await all(`SELECT link_id, tags FROM clicks WHERE tags IS NOT NULL AND tags != ''`)).forEach(row => addTags(row.link_id, row.tags));
+  }
+  if (await hasColumn('stories', 'tags')) {
+    (await all(`SELECT story_key, tags FROM stories WHERE tags IS NOT NULL AND tags != ''`))
+      .forEach(row => addTags(linkIdByKey.get(row.story_key), row.tags));
+  }
+
+  await run('ALTER TABLE tags RENAME TO tags_legacy');
+  await run('DROP INDEX IF EXISTS idx_tags_story_id');
+  await run('DROP INDEX IF EXISTS idx_tags_tag');
+  await run(`CREATE TABLE tags (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    link_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (link_id) REFERENCES links(id),
+    UNIQUE(link_id, tag)
+  )`);
+  await run('CREATE INDEX idx_tags_link_id ON tags(link_id)');
+  await run('CREATE INDEX idx_tags_tag ON tags(tag)');
+
+  for (const { linkId, tag, createdAt } of tagged.values()) {
+    await run('INSERT INTO tags (link_id, tag, created_at) VALUES (?, ?, COALESCE(?, CURRENT_TIMESTAMP))', [linkId, tag, createdAt]);
+  }
+  await run('DROP TABLE tags_legacy');
+
+  for (const table of ['links', 'clicks', 'stories']) {
+    if (await hasColumn(table, 'tags')) {
+      await run(`ALTER TABLE ${table} DROP COLUMN tags`);
+    }
+  }
+
+  if (tagged.size > 0 || orphaned > 0) {
+    console.log(`🏷️ Moved ${tagged.size} tag(s) into the tags table` +
+      (orphaned > 0 ? ` (${orphaned} tag(s) of stories no longer in links were dropped)` : ''));
+  }
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction. Stops at
+ * the first failure, leaving the database at the last good version.
+ * @param {Object} db - Open sqlite3 database
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Run the pending migrations inside one transaction and roll it back
+ * @returns {Promise<Object>} Report: `{dryRun, fromVersion, toVersion, latestVersion, applied, failed}`
+ */
+async function runMigrations(db, { dryRun = false } = {}) {
+  const helpers = createHelpers(db);
+
+  await helpers.run(`CREATE TABLE IF NOT EXISTS schema_version (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  const appliedVersions = new Set((await helpers.all('SELECT version FROM schema_version')).map(row => row.version));
+  const pending = MIGRATIONS
+    .filter(migration => !appliedVersions.has(migration.version))
+    .sort((a, b) => a.version - b.version);
+
+  const report = {
+    dryRun: dryRun,
+    fromVersion: Math.max(0, ...appliedVersions),
+    toVersion: Math.max(0, ...appliedVersions),
+    latestVersion: Math.max(...MIGRATIONS.map(migration => migration.version)),
+    applied: [],
+    failed: null
+  };
+
+  if (dryRun) {
+    await helpers.run('BEGIN');
+  }
+
+  for (const migration of pending) {
+    const savepoint = `migration_${migration.version}`;
+    const started = Date.now();
+
+    // Savepoints act as transactions on their own and nest inside the dry-run transaction
+    await helpers.run(`SAVEPOINT ${savepoint}`);
+    try {
+      await migration.up(helpers);
+      await helpers.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      await helpers.run(`RELEASE ${savepoint}`);
+    } catch (error) {
+      await helpers.run(`ROLLBACK TO ${savepoint}`).catch(() => {});
+      await helpers.run(`RELEASE ${savepoint}`).catch(() => {});
+      report.failed = { version: migration.version, name: migration.name, error: error.message };
+      break;
+    }
+
+    report.applied.push({ version: migration.version, name: migration.name, duration: Date.now() - started });
+    report.toVersion = migration.version;
+  }
+
+  if (dryRun) {
+    await helpers.run('ROLLBACK');
+  }
+
+  return report;
+}
+
+/**
+ * Print which migrations ran (or would run) and where the schema ended up
+ */
+function logMigrationReport(report) {
+  const verb = report.dryRun ? 'Would apply' : 'Applied';
+
+  report.applied.forEach(migration => {
+    console.log(`🗄️ ${verb} migration ${migration.version}: ${migration.name} (${migration.duration}ms)`);
+  });
+
+  if (report.failed) {
+    console.error(`❌ Migration ${report.failed.version} (${report.failed.name}) failed and was rolled back: ${report.failed.error}`);
+  }
+
+  if (report.applied.length === 0 && !report.failed) {
+    console.log(`🗄️ Database schema is up to date (version ${report.toVersion})`);
+  } else {
+    console.log(`🗄️ Database schema ${report.dryRun ? 'would move' : 'moved'} from version ${report.fromVersion} to ${report.toVersion} (latest ${report.latestVersion})`);
+  }
+}
+
+module.exports = {
+  MIGRATIONS,
+  runMigrations,
+  logMigrationReport
+};
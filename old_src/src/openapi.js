@@ -0,0 +1,852 @@
+/**
+ * OpenAPI document for the API server, and request validation against it
+ *
+ * The document is the source of truth for what a request may contain:
+ * validateRequest() checks path and query parameters and JSON bodies
+ * against it before a route handler runs. The validator covers the parts
+ * of JSON Schema used here (type, enum, required, properties,
+ * additionalProperties, items, length and range limits, pattern, uri).
+ * A pattern's error message can be given as `x-pattern-message`.
+ */
+
+const { API_PORT } = require('./config');
+const { version } = require('../package.json');
+
+const DATE = {
+  type: 'string',
+  pattern: '^\\d{4}-\\d{2}-\\d{2}([ T]\\d{2}:\\d{2}(:\\d{2})?)?$',
+  'x-pattern-message': 'must be a date (YYYY-MM-DD) or datetime (YYYY-MM-DD HH:MM:SS)'
+};
+
+// Ascending and descending (`-field`) sort values for a list of fields
+function sortValues(fields) {
+  return fields.flatMap(field => [field, `-${field}`]);
+}
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function json(schema, description = 'OK') {
+  return { description, content: { 'application/json': { schema } } };
+}
+
+function html(description) {
+  return { description, content: { 'text/html': { schema: { type: 'string' } } } };
+}
+
+function queryParam(name, schema, description) {
+  return { name, in: 'query', schema, description };
+}
+
+function pathParam(name, schema, description) {
+  return { name, in: 'path', required: true, schema, description };
+}
+
+// Responses most routes can give besides their own
+const ERRORS = {
+  400: { $ref: '#/components/responses/BadRequest' },
+  401: { $ref: '#/components/responses/Unauthorized' },
+  500: { $ref: '#/components/responses/ServerError' }
+};
+
+const NOT_FOUND = { $ref: '#/components/responses/NotFound' };
+
+const LIST_PARAMS = [
+  { $ref: '#/components/parameters/limit' },
+  { $ref: '#/components/parameters/cursor' },
+  { $ref: '#/components/parameters/fields' }
+];
+
+const STORY_ID = pathParam('id', {
+  type: 'string',
+  pattern: '^(\\d+|[a-z]+:.+)$',
+  'x-pattern-message': 'must be a link id or a story key'
+}, 'Link id, or a story key such as `hn:40123456`');
+
+const TAG_LIST = {
+  type: 'object',
+  properties: {
+    tags: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+    tag: { type: 'string', minLength: 1 }
+  },
+  additionalProperties: false
+};
+
+const LINK_VIEW = (summary, description) => ({
+  tags: ['Database Browser'],
+  summary,
+  description,
+  responses: {
+    200: json({ type: 'object', properties: { links: { type: 'array', items: ref('Link') } } }),
+    ...ERRORS
+  }
+});
+
+const spec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'BOB Reading Tracker API',
+    version: version,
+    description: 'Stories, clicks, tags and saved articles tracked by BOB. Every `/api` route except this document ' +
+      'needs an API token, created from the tray menu or with `node server.js --create-token <name>`.'
+  },
+  servers: [{ url: `http://127.0.0.1:${API_PORT}` }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    { name: 'Stories', description: 'Tracked links, the same article from every source merged into one' },
+    { name: 'Tags' },
+    { name: 'Clicks' },
+    { name: 'Articles', description: 'Saved articles and their full-text search' },
+    { name: 'Database Browser', description: 'Views behind the Database Browser window' },
+    { name: 'Pages', description: 'HTML pages and other routes outside `/api`' }
+  ],
+  paths: {
+    '/test': {
+      get: {
+        tags: ['Pages'],
+        summary: 'Check the server answers',
+        security: [],
+        responses: { 200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      }
+    },
+    '/database': {
+      get: { tags: ['Pages'], summary: 'Click history page (asks for a token)', security: [], responses: { 200: html('Click history page') } }
+    },
+    '/save': {
+      get: {
+        tags: ['Pages'],
+        summary: 'Bookmarklet popup',
+        description: 'Saves the article given in the URL fragment: `#token=...&url=...&title=...`',
+        security: [],
+        responses: { 200: html('Save page') }
+      }
+    },
+    '/docs': {
+      get: { tags: ['Pages'], summary: 'This documentation', security: [], responses: { 200: html('Documentation page') } }
+    },
+    '/api/openapi.json': {
+      get: {
+        tags: ['Pages'],
+        summary: 'This OpenAPI document',
+        security: [],
+        responses: { 200: json({ type: 'object' }) }
+      }
+    },
+    '/api/ping': {
+      get: {
+        tags: ['Pages'],
+        summary: 'Health check',
+        responses: {
+          200: json({ type: 'object', properties: { status: { type: 'string' }, timestamp: { type: 'integer' } } }),
+          401: ERRORS[401]
+        }
+      }
+    },
+    '/api/articles': {
+      get: {
+        tags: ['Articles'],
+        summary: 'Saved articles, most clicked first',
+        parameters: [
+          queryParam('limit', { type: 'integer', minimum: 1, default: 50 }),
+          queryParam('offset', { type: 'integer', minimum: 0, default: 0 })
+        ],
+        responses: {
+          200: json({ type: 'object', properties: { articles: { type: 'array', items: ref('Article') } } }),
+          ...ERRORS
+        }
+      },
+      post: {
+        tags: ['Articles'],
+        summary: 'Save an article',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url'],
+                properties: {
+                  url: { type: 'string', format: 'uri' },
+                  title: { type: ['string', 'null'] }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { success: { type: 'boolean' }, id: { type: 'integer' }, message: { type: 'string' } }
+          }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/articles/search': {
+      get: {
+        tags: ['Articles'],
+        summary: 'Full-text search and filters with facet counts',
+        parameters: [
+          queryParam('q', { type: 'string' }, 'FTS5 query; without it, the filters alone select articles'),
+          queryParam('domain', { type: 'string' }),
+          queryParam('tag', { type: 'string' }),
+          queryParam('since', DATE, 'Saved at or after (UTC)'),
+          queryParam('until', DATE, 'Saved before (UTC)'),
+          queryParam('min_words', { type: 'integer', minimum: 0 }),
+          queryParam('max_words', { type: 'integer', minimum: 0 }),
+          queryParam('sort', { type: 'string', enum: sortValues(['relevance', 'saved_at', 'word_count', 'clicks', 'id']) },
+            '`relevance` (needs `q`, the default with it) or `-saved_at` (the default without)'),
+          { $ref: '#/components/parameters/limit' },
+          { $ref: '#/components/parameters/cursor' }
+        ],
+        responses: { 200: json(ref('ArticleSearch')), ...ERRORS }
+      }
+    },
+    '/api/articles/stats': {
+      get: {
+        tags: ['Articles'],
+        summary: 'Article counts and word totals',
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              total_articles: { type: 'integer' },
+              total_words: { type: ['integer', 'null'] },
+              avg_words: { type: ['number', 'null'] },
+              week_articles: { type: 'integer' },
+              month_articles: { type: 'integer' }
+            }
+          }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/articles/{id}': {
+      get: {
+        tags: ['Articles'],
+        summary: 'One saved article with its content',
+        parameters: [pathParam('id', { type: 'integer', minimum: 1 })],
+        responses: { 200: json(ref('Article')), 404: NOT_FOUND, ...ERRORS }
+      }
+    },
+    '/api/articles/{id}/click': {
+      post: {
+        tags: ['Articles'],
+        summary: 'Count a click on a saved article',
+        parameters: [pathParam('id', { type: 'integer', minimum: 1 })],
+        responses: {
+          200: json({ type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/database/clicks': {
+      get: {
+        tags: ['Database Browser'],
+        summary: 'Every click, newest first, with the story\'s tags',
+        responses: {
+          200: json({ type: 'object', properties: { clicks: { type: 'array', items: { type: 'object' } } } }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/database/bag-of-links': { get: LINK_VIEW('Hidden gems', 'Never clicked links, least shown first (100)') },
+    '/api/database/unread': { get: LINK_VIEW('Unread stories', '100 random links not opened yet') },
+    '/api/database/recent': { get: LINK_VIEW('Recently clicked', 'Clicked links, most recent click first (100)') },
+    '/api/database/all': { get: LINK_VIEW('All links', 'Most recently seen first (100)') },
+    '/api/database/discover': { get: LINK_VIEW('Discover', '25 random unclicked links from the past week') },
+    '/api/database/tags': {
+      get: {
+        tags: ['Database Browser'],
+        summary: 'Every tag with its number of links',
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              tags: { type: 'array', items: { type: 'object', properties: { tag: { type: 'string' }, count: { type: 'integer' } } } }
+            }
+          }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/database/rising': {
+      get: {
+        tags: ['Database Browser'],
+        summary: 'Stories gaining points and comments fastest',
+        parameters: [
+          queryParam('hours', { type: 'number', exclusiveMinimum: 0 }, 'Window of snapshots to compare (default RISING_WINDOW)'),
+          queryParam('limit', { type: 'integer', minimum: 1, default: 20 }, 'At most 100')
+        ],
+        responses: {
+          200: json({ type: 'object', properties: { stories: { type: 'array', items: ref('RisingStory') } } }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/database/links/{id}/history': {
+      get: {
+        tags: ['Database Browser'],
+        summary: 'Points, comments and rank snapshots of a link on every source',
+        parameters: [pathParam('id', { type: 'integer', minimum: 1 }, 'Link id')],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { linkId: { type: 'integer' }, snapshots: { type: 'array', items: ref('Snapshot') } }
+          }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/database/track-click': {
+      post: {
+        tags: ['Database Browser'],
+        summary: 'Record a click on a story and mark it viewed',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['url', 'storyId', 'source'],
+                properties: {
+                  url: { type: 'string', minLength: 1 },
+                  storyId: { type: ['integer', 'string'], description: 'Story id as its source reports it' },
+                  source: { type: 'string', minLength: 1 },
+                  clickType: { type: 'string', enum: ['article', 'comments', 'archive'], default: 'article' }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: json({ type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/stories': {
+      get: {
+        tags: ['Stories'],
+        summary: 'Stories, a page at a time',
+        parameters: [
+          queryParam('source', { type: 'string' }, 'Any source the story appeared on'),
+          queryParam('tag', { type: 'string' }),
+          queryParam('viewed', { type: 'boolean' }),
+          queryParam('engaged', { type: 'boolean' }),
+          queryParam('sort', {
+            type: 'string',
+            enum: sortValues(['id', 'title', 'points', 'comments', 'clicks', 'times_appeared', 'first_seen_at', 'last_seen_at']),
+            default: '-last_seen_at'
+          }),
+          ...LIST_PARAMS
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { stories: { type: 'array', items: ref('Story') }, nextCursor: ref('Cursor') }
+          }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/stories/{id}': {
+      get: {
+        tags: ['Stories'],
+        summary: 'One story',
+        parameters: [STORY_ID, { $ref: '#/components/parameters/fields' }],
+        responses: { 200: json(ref('Story')), 404: NOT_FOUND, ...ERRORS }
+      },
+      patch: {
+        tags: ['Stories'],
+        summary: 'Change a story',
+        parameters: [STORY_ID],
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string', minLength: 1, pattern: '\\S', 'x-pattern-message': 'must not be blank' },
+                  viewed: { type: 'boolean' },
+                  engaged: { type: 'boolean' },
+                  archive_url: { type: ['string', 'null'] }
+                },
+                additionalProperties: false
+              }
+            }
+          }
+        },
+        responses: { 200: json(ref('Story')), 404: NOT_FOUND, ...ERRORS }
+      },
+      delete: {
+        tags: ['Stories'],
+        summary: 'Delete a story with its tags, clicks and snapshots',
+        parameters: [STORY_ID],
+        responses: { 204: { description: 'Deleted' }, 404: NOT_FOUND, ...ERRORS }
+      }
+    },
+    '/api/stories/{id}/tags': {
+      post: {
+        tags: ['Stories', 'Tags'],
+        summary: 'Add tags to a story',
+        parameters: [STORY_ID],
+        requestBody: { required: true, content: { 'application/json': { schema: TAG_LIST } } },
+        responses: { 200: json(ref('TagChange')), 404: NOT_FOUND, ...ERRORS }
+      },
+      delete: {
+        tags: ['Stories', 'Tags'],
+        summary: 'Remove tags from a story',
+        description: 'Tags go in the body like POST, or in `?tags=`',
+        parameters: [STORY_ID, queryParam('tags', { type: 'string' }, 'Comma-separated')],
+        requestBody: { content: { 'application/json': { schema: TAG_LIST } } },
+        responses: { 200: json(ref('TagChange')), 404: NOT_FOUND, ...ERRORS }
+      }
+    },
+    '/api/tags': {
+      get: {
+        tags: ['Tags'],
+        summary: 'Tags with their number of stories',
+        parameters: [
+          queryParam('q', { type: 'string' }, 'Only tags containing this'),
+          queryParam('sort', { type: 'string', enum: sortValues(['tag', 'count', 'last_used_at']), default: '-count' }),
+          ...LIST_PARAMS
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { tags: { type: 'array', items: ref('TagCount') }, nextCursor: ref('Cursor') }
+          }),
+          ...ERRORS
+        }
+      }
+    },
+    '/api/clicks': {
+      get: {
+        tags: ['Clicks'],
+        summary: 'Clicks, a page at a time',
+        parameters: [
+          queryParam('story', { type: 'integer', minimum: 1 }, 'Link id'),
+          queryParam('source', { type: 'string' }),
+          queryParam('type', { type: 'string', enum: ['article', 'comments', 'archive'] }),
+          queryParam('since', DATE, 'Clicked at or after (UTC)'),
+          queryParam('until', DATE, 'Clicked before (UTC)'),
+          queryParam('sort', { type: 'string', enum: sortValues(['clicked_at', 'id']), default: '-clicked_at' }),
+          ...LIST_PARAMS
+        ],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { clicks: { type: 'array', items: ref('Click') }, nextCursor: ref('Cursor') }
+          }),
+          ...ERRORS
+        }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', description: 'API token, `bob_...`' }
+    },
+    parameters: {
+      limit: queryParam('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 }, 'Page size'),
+      cursor: queryParam('cursor', { type: 'string' }, '`nextCursor` of the previous page'),
+      fields: queryParam('fields', { type: 'string', pattern: '^[a-z_]+(,[a-z_]+)*$', 'x-pattern-message': 'must be comma-separated field names' }, 'Comma-separated fields to return')
+    },
+    responses: {
+      BadRequest: json(ref('Error'), 'Invalid parameters or body'),
+      Unauthorized: json(ref('Error'), 'Missing or unknown API token'),
+      NotFound: json(ref('Error'), 'Not found'),
+      ServerError: json(ref('Error'), 'Database or server error')
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: { type: 'string' },
+          details: {
+            type: 'array',
+            description: 'For invalid requests, one entry per problem',
+            items: {
+              type: 'object',
+              properties: {
+                in: { type: 'string', enum: ['path', 'query', 'body'] },
+                name: { type: 'string', description: 'Parameter name, or the path to a body field such as `tags[0]`' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      Cursor: { type: ['string', 'null'], description: 'Pass as `cursor` for the next page; null on the last page' },
+      Story: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          story_key: { type: 'string' },
+          source: { type: 'string', description: 'Source the link was first seen on' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          canonical_url: { type: ['string', 'null'] },
+          comments_url: { type: ['string', 'null'] },
+          listing: { type: ['string', 'null'] },
+          points: { type: ['integer', 'null'] },
+          comments: { type: ['integer', 'null'] },
+          viewed: { type: 'boolean' },
+          viewed_at: { type: ['string', 'null'] },
+          engaged: { type: 'boolean' },
+          engaged_at: { type: ['string', 'null'] },
+          engagement_count: { type: 'integer' },
+          archive_url: { type: ['string', 'null'] },
+          first_seen_at: { type: 'string' },
+          last_seen_at: { type: 'string' },
+          times_appeared: { type: 'integer' },
+          clicks: { type: 'integer' },
+          tags: { type: 'array', items: { type: 'string' } },
+          sources: { type: 'array', items: { type: 'string' } }
+        }
+      },
+      Link: { type: 'object', description: 'A `links` row with click counts, `also_seen_on` and `points_history`' },
+      Click: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          link_id: { type: ['integer', 'null'] },
+          story_key: { type: ['string', 'null'] },
+          source: { type: ['string', 'null'] },
+          click_type: { type: ['string', 'null'] },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          comments_url: { type: ['string', 'null'] },
+          archive_url: { type: ['string', 'null'] },
+          points: { type: ['integer', 'null'] },
+          comments: { type: ['integer', 'null'] },
+          clicked_at: { type: 'string' }
+        }
+      },
+      TagCount: {
+        type: 'object',
+        properties: {
+          tag: { type: 'string' },
+          count: { type: 'integer' },
+          first_used_at: { type: 'string' },
+          last_used_at: { type: 'string' }
+        }
+      },
+      TagChange: {
+        type: 'object',
+        properties: {
+          linkId: { type: 'integer' },
+          added: { type: 'array', items: { type: 'string' } },
+          removed: { type: 'array', items: { type: 'string' } },
+          tags: { type: 'array', items: { type: 'string' }, description: 'All of the story\'s tags afterwards' }
+        }
+      },
+      Snapshot: {
+        type: 'object',
+        properties: {
+          story_key: { type: 'string' },
+          source: { type: 'string' },
+          listing: { type: ['string', 'null'] },
+          points: { type: ['integer', 'null'] },
+          comments: { type: ['integer', 'null'] },
+          rank: { type: ['integer', 'null'] },
+          seen_at: { type: 'string' }
+        }
+      },
+      RisingStory: {
+        type: 'object',
+        properties: {
+          linkId: { type: 'integer' },
+          storyKey: { type: 'string' },
+          id: { type: ['string', 'null'] },
+          source: { type: 'string' },
+          title: { type: 'string' },
+          url: { type: 'string' },
+          comments_url: { type: ['string', 'null'] },
+          points: { type: ['integer', 'null'] },
+          comments: { type: ['integer', 'null'] },
+          pointsPerHour: { type: 'number' },
+          commentsPerHour: { type: 'number' },
+          velocity: { type: 'number' },
+          hours: { type: 'number' }
+        }
+      },
+      Article: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          url: { type: 'string' },
+          title: { type: 'string' },
+          domain: { type: ['string', 'null'] },
+          author: { type: ['string', 'null'] },
+          publish_date: { type: ['string', 'null'] },
+          description: { type: ['string', 'null'] },
+          tags: { type: ['string', 'null'], description: 'Comma-separated' },
+          word_count: { type: ['integer', 'null'] },
+          reading_time: { type: ['integer', 'null'] },
+          click_count: { type: 'integer' },
+          saved_at: { type: 'string' },
+          last_clicked_at: { type: ['string', 'null'] },
+          archive_path: { type: ['string', 'null'] },
+          content: { type: ['string', 'null'] },
+          text_content: { type: ['string', 'null'] }
+        }
+      },
+      Facet: {
+        type: 'array',
+        items: { type: 'object', properties: { value: { type: 'string' }, count: { type: 'integer' } } }
+      },
+      ArticleSearch: {
+        type: 'object',
+        properties: {
+          results: {
+            type: 'array',
+            description: 'Articles without `content` and `text_content`',
+            items: {
+              allOf: [ref('Article')],
+              type: 'object',
+              properties: {
+                snippet: { type: ['string', 'null'], description: 'Matching text with `<mark>` highlights' },
+                score: { type: ['number', 'null'], description: 'bm25 rank, lower is better' }
+              }
+            }
+          },
+          nextCursor: ref('Cursor'),
+          total: { type: 'integer' },
+          facets: {
+            type: 'object',
+            properties: {
+              domains: ref('Facet'),
+              tags: ref('Facet'),
+              word_count: ref('Facet'),
+              months: ref('Facet')
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+// Validation
+
+function resolve(schema) {
+  if (schema && schema.$ref) {
+    const [, section, kind, name] = schema.$ref.split('/');
+    return spec[section][kind][name];
+  }
+  return schema;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeTypes(types) {
+  return types.map(type => type === 'integer' ? 'an integer' : type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`).join(' or ');
+}
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a value against a schema, collecting `{name, message}` problems
+ */
+function check(value, schema, name, problems) {
+  schema = resolve(schema);
+  if (!schema) return;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      problems.push({ name, message: `must be ${describeTypes(types)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push({ name, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push({ name, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      problems.push({ name, message: schema['x-pattern-message'] || `must match ${schema.pattern}` });
+    }
+    if (schema.format === 'uri' && !isUrl(value)) {
+      problems.push({ name, message: 'must be an http or https URL' });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push({ name, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      problems.push({ name, message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push({ name, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push({ name, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(item, schema.items, `${name}[${index}]`, problems));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const field = key => name ? `${name}.${key}` : key;
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        problems.push({ name: field(key), message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        check(value[key], properties[key], field(key), problems);
+      } else if (schema.additionalProperties === false) {
+        problems.push({ name: field(key), message: 'is not allowed' });
+      }
+    });
+  }
+}
+
+/**
+ * Turn a path or query string into the type its schema asks for, so
+ * `?limit=10` is checked as the integer 10. Values that don't convert are
+ * left as strings and fail the type check.
+ */
+function coerce(value, schema) {
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (type === 'integer' && /^-?\d+$/.test(value)) return parseInt(value);
+  if (type === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  if (type === 'boolean' && ['true', '1'].includes(value)) return true;
+  if (type === 'boolean' && ['false', '0'].includes(value)) return false;
+  return value;
+}
+
+// Spec paths as regular expressions, e.g. '/api/stories/{id}' -> /^\/api\/stories\/([^/]+)$/
+const ROUTES = Object.entries(spec.paths).map(([template, operations]) => ({
+  pattern: new RegExp(`^${template.replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g, '([^/]+)')}$`),
+  names: [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]),
+  operations
+}));
+
+/**
+ * The spec's operation for a request, with its path parameters and the
+ * parameters that couldn't be decoded (bad percent-encoding)
+ * @returns {Object|null} `{operation, params, problems}`
+ */
+function findOperation(method, path) {
+  for (const route of ROUTES) {
+    const match = route.pattern.exec(path);
+    const operation = match && route.operations[method.toLowerCase()];
+    if (operation) {
+      const params = {};
+      const problems = [];
+      route.names.forEach((name, index) => {
+        try {
+          params[name] = decodeURIComponent(match[index + 1]);
+        } catch {
+          problems.push({ in: 'path', name, message: 'is not valid percent-encoding' });
+        }
+      });
+      return { operation, params, problems };
+    }
+  }
+  return null;
+}
+
+/**
+ * Problems with a request's parameters and body
+ * @returns {Array} `{in, name, message}` entries, empty for a valid request
+ */
+function validate(operation, params, query, body) {
+  const problems = [];
+
+  (operation.parameters || []).map(resolve).forEach(parameter => {
+    const source = parameter.in === 'path' ? params : query;
+    const raw = source[parameter.name];
+    if (raw === undefined) {
+      if (parameter.required) {
+        problems.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+      }
+      return;
+    }
+    if (typeof raw !== 'string') {
+      problems.push({ in: parameter.in, name: parameter.name, message: 'must be given once' });
+      return;
+    }
+
+    const found = [];
+    check(coerce(raw, parameter.schema), parameter.schema, parameter.name, found);
+    found.forEach(problem => problems.push({ in: parameter.in, ...problem }));
+  });
+
+  const requestBody = operation.requestBody;
+  if (requestBody) {
+    const schema = requestBody.content['application/json'].schema;
+    if (body === undefined) {
+      if (requestBody.required) {
+        problems.push({ in: 'body', name: '', message: 'must be a JSON object (Content-Type: application/json)' });
+      }
+    } else {
+      const found = [];
+      check(body, { ...schema, type: 'object' }, '', found);
+      found.forEach(problem => problems.push({ in: 'body', ...problem }));
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Express middleware rejecting requests that don't match the spec with
+ * `400 {error, details}`. Routes missing from the spec aren't checked.
+ */
+function validateRequest(req, res, next) {
+  const found = findOperation(req.method, req.path);
+  if (!found) {
+    return next();
+  }
+
+  const problems = found.problems.length > 0 ?
+    found.problems :
+    validate(found.operation, found.params, req.query, req.body);
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: `Invalid request: ${problems.map(problem => `${problem.name || problem.in} ${problem.message}`).join('; ')}`,
+      details: problems
+    });
+  }
+  next();
+}
+
+module.exports = {
+  spec,
+  validateRequest
+};
@@ -0,0 +1,258 @@
+/**
+ * Pinboard popular bookmarks (https://pinboard.in/popular/) and the user's
+ * own account via the v1 API (https://pinboard.in/api/)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { USER_AGENT } = require('./config');
+const { getSetting } = require('./settings');
+
+const PINBOARD_POPULAR_URL = 'https://pinboard.in/popular/';
+const PINBOARD_POPULAR_LIMIT = 15;
+const PINBOARD_API_URL = 'https://api.pinboard.in/v1';
+const PINBOARD_RECENT_COUNT = 50;
+
+// posts/all is limited to one call every five minutes, so the unread list is
+// only refetched when posts/update reports a change
+let unreadCache = { updateTime: null, posts: [] };
+let myPinboardStories = [];
+
+/**
+ * Pinboard identifies a URL by the MD5 of the URL itself (the `/url:<hash>/` pages)
+ */
+function pinboardUrlHash(url) {
+  return crypto.createHash('md5').update(url).digest('hex');
+}
+
+/**
+ * Read the `<hash>` out of a `/url:<hash>/` link, if the element has one
+ */
+function urlHashFromHref(href) {
+  const match = /\/url:([0-9a-f]{32})/i.exec(href || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Parse the pinboard.in/popular page into stories
+ * @param {string} html - Raw page HTML
+ * @returns {Array<{id, title, url, points, comments, tags, first_saver}>}
+ */
+function parsePinboardPopular(html) {
+  const $ = cheerio.load(html);
+  const stories = [];
+  const seen = new Set();
+
+  $('.bookmark').each((index, element) => {
+    const bookmark = $(element);
+    const titleLink = bookmark.find('a.bookmark_title').first();
+    const url = (titleLink.attr('href') || '').trim();
+    if (!url || !/^https?:\/\//i.test(url)) return;
+
+    const countLink = bookmark.find('.bookmark_count').first();
+    const hash = urlHashFromHref(countLink.attr('href')) || pinboardUrlHash(url);
+    if (seen.has(hash)) return;
+    seen.add(hash);
+
+    const tags = bookmark.find('a.tag').map((i, tag) => $(tag).text().trim()).get().filter(Boolean);
+    const firstSaver = bookmark.find('a.user').first().text().trim();
+
+    stories.push({
+      id: hash,
+      title: titleLink.text().replace(/\s+/g, ' ').trim() || url,
+      url: url,
+      points: parseInt(countLink.text().replace(/[^\d]/g, ''), 10) || 0,
+      comments: 0,
+      tags: [...new Set(tags)],
+      first_saver: firstSaver || null
+    });
+  });
+
+  return stories;
+}
+
+/**
+ * Fetch popular bookmarks from Pinboard
+ */
+async function fetchPinboardPopular() {
+  try {
+    const response = await axios.get(PINBOARD_POPULAR_URL, {
+      headers: {
+        'User-Agent': USER_AGENT
+      },
+      responseType: 'text',
+      timeout: 10000
+    });
+
+    const bookmarks = parsePinboardPopular(response.data).slice(0, PINBOARD_POPULAR_LIMIT);
+
+    // Page layout changes show up here rather than as bogus stories
+    if (bookmarks.length === 0) {
+      console.warn('Pinboard parsing failed - no bookmarks found');
+    }
+
+    return bookmarks;
+  } catch (error) {
+    console.error('Error fetching Pinboard popular:', error.message);
+    return [];
+  }
+}
+
+/**
+ * API token in `username:HEX` form, from PINBOARD_API_TOKEN
+ */
+function getPinboardToken() {
+  return (process.env.PINBOARD_API_TOKEN || '').trim() || null;
+}
+
+/**
+ * Call a Pinboard v1 API method and return the parsed JSON response
+ * @param {string} method - e.g. 'posts/recent'
+ * @param {Object} [params] - Query parameters
+ */
+async function pinboardApi(method, params = {}) {
+  const token = getPinboardToken();
+  if (!token) {
+    throw new Error('PINBOARD_API_TOKEN is not set');
+  }
+
+  const response = await axios.get(`${PINBOARD_API_URL}/${method}`, {
+    params: { ...params, auth_token: token, format: 'json' },
+    headers: {
+      'User-Agent': USER_AGENT
+    },
+    timeout: 15000
+  });
+
+  return response.data;
+}
+
+/**
+ * Turn a bookmark from the API into a story; the API's `hash` is the same
+ * URL hash the popular page uses, so both sources agree on ids
+ */
+function postToStory(post, listing) {
+  return {
+    id: post.hash || pinboardUrlHash(post.href),
+    title: (post.description || '').trim() || post.href,
+    url: post.href,
+    points: 0,
+    comments: 0,
+    tags: (post.tags || '').split(' ').filter(Boolean),
+    listing: listing
+  };
+}
+
+/**
+ * Unread bookmarks, newest first
+ */
+async function fetchUnreadPosts() {
+  const { update_time: updateTime } = await pinboardApi('posts/update');
+  if (updateTime && updateTime === unreadCache.updateTime) {
+    return unreadCache.posts;
+  }
+
+  const posts = await pinboardApi('posts/all');
+  const unread = (Array.isArray(posts) ? posts : []).filter(post => post.toread === 'yes');
+  unreadCache = { updateTime, posts: unread };
+  return unread;
+}
+
+/**
+ * Fetch the user's unread and recent bookmarks as "My Pinboard" stories
+ */
+async function fetchMyPinboardStories() {
+  if (!getPinboardToken()) {
+    return [];
+  }
+
+  // A failed call (say a 429 on posts/all) keeps that list's last stories rather than dropping both
+  const [unread, recent] = await Promise.allSettled([
+    fetchUnreadPosts(),
+    pinboardApi('posts/recent', { count: PINBOARD_RECENT_COUNT })
+  ]);
+  [unread, recent].forEach(result => {
+    if (result.status === 'rejected') {
+      console.error('Error fetching Pinboard bookmarks:', result.reason.response?.status || result.reason.message);
+    }
+  });
+
+  const previous = (listing) => myPinboardStories.filter(story => story.listing === listing);
+  const unreadStories = unread.status === 'fulfilled' ?
+    unread.value.map(post => postToStory(post, 'unread')) :
+    previous('unread');
+  const unreadIds = new Set(unreadStories.map(story => story.id));
+  const recentStories = (recent.status === 'fulfilled' ?
+    (recent.value.posts || []).map(post => postToStory(post, 'recent')) :
+    previous('recent')
+  ).filter(story => !unreadIds.has(story.id));
+
+  myPinboardStories = [...unreadStories, ...recentStories];
+  return myPinboardStories;
+}
+
+/**
+ * Pinboard tags are space separated and can't contain commas or whitespace
+ */
+function toPinboardTag(tag) {
+  return tag.trim().toLowerCase().replace(/[\s,]+/g, '-');
+}
+
+/**
+ * Add tags to the bookmark for a URL. Existing title, notes, tags and flags
+ * are kept. A URL that isn't saved yet only gets a new private bookmark
+ * when the `pinboardCreateBookmarks` setting is on.
+ */
+async function pushTagsToPinboard(url, title, tags) {
+  if (!getPinboardToken() || getSetting('pinboardSyncTags') === false || !url || !tags || tags.length === 0) {
+    return false;
+  }
+
+  try {
+    const { posts = [] } = await pinboardApi('posts/get', { url });
+    const existing = posts[0];
+    if (!existing && !getSetting('pinboardCreateBookmarks')) {
+      return false;
+    }
+    const currentTags = existing ? existing.tags.split(' ').filter(Boolean) : [];
+    const mergedTags = [...new Set([...currentTags, ...tags.map(toPinboardTag).filter(Boolean)])];
+
+    if (existing && mergedTags.length === currentTags.length) {
+      console.log('📌 Pinboard bookmark already has these tags');
+      return true;
+    }
+
+    const result = await pinboardApi('posts/add', {
+      url: url,
+      description: existing ? existing.description : (title || url),
+      extended: existing ? existing.extended : '',
+      tags: mergedTags.slice(0, 100).join(' '),
+      dt: existing ? existing.time : undefined,
+      shared: existing ? existing.shared : 'no',
+      toread: existing ? existing.toread : 'no',
+      replace: 'yes'
+    });
+
+    if (result.result_code !== 'done') {
+      console.error('Pinboard rejected tag update:', result.result_code);
+      return false;
+    }
+
+    console.log(`📌 ${existing ? 'Updated' : 'Saved'} Pinboard bookmark with tags: ${mergedTags.join(' ')}`);
+    return true;
+  } catch (error) {
+    console.error('Error pushing tags to Pinboard:', error.response?.status || error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  PINBOARD_POPULAR_URL,
+  pinboardUrlHash,
+  parsePinboardPopular,
+  fetchPinboardPopular,
+  getPinboardToken,
+  fetchMyPinboardStories,
+  pushTagsToPinboard
+};
@@ -0,0 +1,1017 @@
+/**
+ * Promise-based data access for clicks.db
+ *
+ * Every function resolves with its result and rejects on database errors,
+ * so callers can await a write and know whether it happened. Writes that
+ * target a story the database has never seen reject with an error whose
+ * `code` is 'STORY_NOT_FOUND'. The callback functions exported by
+ * database.js are wrappers around these.
+ */
+
+const { canonicalizeUrl } = require('./canonical-url');
+const { storyKey, legacyStoryId, parseStoryKey } = require('./story-key');
+const { RISING_WINDOW, RISING_MIN_SPAN } = require('./config');
+
+let db = null;
+let ready = Promise.resolve();
+
+// One appearance (or story deletion) at a time: two sources showing the same
+// article in one refresh must not both decide the link is new
+let appearanceQueue = Promise.resolve();
+
+// Page size for list queries when none (or too large a one) is asked for
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Use an opened database; queries wait for `whenReady` (the schema migrations)
+ * and reject with its error if it fails, rather than run against an old schema
+ */
+function useDatabase(database, whenReady = Promise.resolve()) {
+  db = database;
+  ready = whenReady;
+  appearanceQueue = appearanceQueue.then(() => ready).catch(() => {});
+}
+
+async function connection() {
+  await ready;
+  if (!db) {
+    throw new Error('Database not initialized');
+  }
+  return db;
+}
+
+async function all(sql, params = []) {
+  const database = await connection();
+  return new Promise((resolve, reject) => {
+    database.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+  });
+}
+
+async function get(sql, params = []) {
+  const database = await connection();
+  return new Promise((resolve, reject) => {
+    database.get(sql, params, (err, row) => err ? reject(err) : resolve(row || null));
+  });
+}
+
+/**
+ * Run a statement, resolving with `{lastID, changes}`
+ */
+async function run(sql, params = []) {
+  const database = await connection();
+  return new Promise((resolve, reject) => {
+    database.run(sql, params, function(err) {
+      if (err) reject(err); else resolve({ lastID: this.lastID, changes: this.changes });
+    });
+  });
+}
+
+function storyNotFound(storyId, source) {
+  const error = new Error(`Story ${source ? storyKey(source, storyId) : storyId} not found`);
+  error.code = 'STORY_NOT_FOUND';
+  return error;
+}
+
+/**
+ * Error for list options the caller got wrong (unknown sort field, bad cursor)
+ */
+function invalidQuery(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  return error;
+}
+
+/**
+ * One page of a query. Pages continue from an opaque cursor holding the
+ * last row's sort value and key, so rows added or removed between requests
+ * don't shift later pages the way OFFSET would.
+ * @param {string} sql - Base query; sort fields and `key` refer to its columns
+ * @param {Array} params - Base query parameters
+ * @param {Object} options
+ * @param {Object} options.sortFields - Sort name to a non-null SQL expression
+ * @param {string} options.key - Column that is unique per row, the tie-breaker
+ * @param {string} options.sort - Sort name, `-name` for descending
+ * @param {string} [options.cursor] - `nextCursor` of the previous page
+ * @param {number} [options.limit] - Page size, capped at MAX_PAGE_SIZE
+ * @returns {Promise<Object>} `{items, nextCursor}`; nextCursor is null on the last page
+ */
+async function paginate(sql, params, { sortFields, key, sort, cursor, limit }) {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!sortFields[field]) {
+    throw invalidQuery(`Cannot sort by ${field}; use one of ${Object.keys(sortFields).join(', ')}`);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const direction = descending ? 'DESC' : 'ASC';
+  const comparison = descending ? '<' : '>';
+
+  let after = '';
+  const afterParams = [];
+  if (cursor) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw invalidQuery('Invalid cursor');
+    }
+    if (!position || position.sort !== sort || !('value' in position) || !('key' in position)) {
+      throw invalidQuery('Invalid cursor for this sort order');
+    }
+    after = `WHERE _sort ${comparison} ? OR (_sort = ? AND _key ${comparison} ?)`;
+    afterParams.push(position.value, position.value, position.key);
+  }
+
+  const rows = await all(`SELECT * FROM (
+      SELECT page.*, ${sortFields[field]} AS _sort, ${key} AS _key FROM (${sql}) page
+    ) ${after}
+    ORDER BY _sort ${direction}, _key ${direction}
+    LIMIT ?`, [...params, ...afterParams, pageSize + 1]);
+
+  const items = rows.slice(0, pageSize);
+  const last = items[items.length - 1];
+  const nextCursor = rows.length > pageSize ?
+    Buffer.from(JSON.stringify({ sort, value: last._sort, key: last._key })).toString('base64url') :
+    null;
+
+  return {
+    items: items.map(({ _sort, _key, ...item }) => item),
+    nextCursor
+  };
+}
+
+function extractDomain(url) {
+  try {
+    return new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Stories (the links table)
+
+/**
+ * Find the link a source's story was stored as, including links it was
+ * merged into because another source had the same article first
+ * @param {number|string} storyId - Story id as the source reports it
+ * @param {string} source - Source id
+ * @returns {Promise<Object|null>} `links` row
+ */
+function findStory(storyId, source) {
+  if (!source) {
+    // Native ids aren't unique across sources (an HN id can also be an arXiv or Reddit id)
+    return Promise.reject(new Error(`Looking up story ${storyId} needs its source`));
+  }
+  const key = storyKey(source, storyId);
+  return get(`SELECT * FROM links
+    WHERE id = (SELECT link_id FROM link_sources WHERE story_key = ?)
+    OR story_key = ?
+    LIMIT 1`, [key, key]);
+}
+
+/**
+ * findStory(), rejecting with STORY_NOT_FOUND when the story was never stored
+ */
+async function requireStory(storyId, source) {
+  const link = await findStory(storyId, source);
+  if (!link) {
+    throw storyNotFound(storyId, source);
+  }
+  return link;
+}
+
+/**
+ * Record that a source showed a story: update its link, merge it into a
+ * link with the same canonical URL, or insert a new link, and add a
+ * snapshot of its points, comments and rank
+ * @param {number} [rank] - Position in the source's listing (1 = top)
+ * @returns {Promise<Object|null>} `{linkId, storyKey, status, linkSource}` where status is
+ *   'created', 'merged' (first seen here, stored under another source's link)
+ *   or 'updated'; null for stories without any URL
+ */
+function recordAppearance(story, source, rank = null) {
+  const { getSource } = require('./source-registry');
+  const sourceDef = getSource(source);
+
+  // Store the article the source links to (Reddit keeps its permalink in story.url).
+  // Stories without URLs (like HN text posts) fall back to the discussion URL
+  let storyUrl = sourceDef ? sourceDef.getArticleUrl(story) : story.url;
+  if (!storyUrl && sourceDef) {
+    storyUrl = sourceDef.getCommentsUrl(story);
+  }
+  if (!storyUrl) {
+    return Promise.resolve(null);
+  }
+
+  const commentsUrl = story.comments_url || (sourceDef ? sourceDef.getCommentsUrl(story) : null);
+  const appearance = {
+    story: story,
+    source: source,
+    key: storyKey(source, story.id),
+    url: storyUrl,
+    canonicalUrl: canonicalizeUrl(storyUrl) || storyUrl,
+    commentsUrl: commentsUrl,
+    rank: rank
+  };
+
+  const result = appearanceQueue.then(() => persistAppearance(appearance));
+  appearanceQueue = result.catch(() => {});
+  return result;
+}
+
+async function persistAppearance({ story, source, key, url, canonicalUrl, commentsUrl, rank }) {
+  const existing = await findStory(story.id, source);
+
+  if (existing && existing.story_key === key) {
+    await run(`UPDATE links SET
+      title = ?,
+      url = ?,
+      points = ?,
+      comments = ?,
+      comments_url = ?,
+      listing = COALESCE(?, listing),
+      canonical_url = ?,
+      last_seen_at = CURRENT_TIMESTAMP,
+      times_appeared = times_appeared + 1
+      WHERE id = ?`,
+      [story.title || 'Untitled', url, story.points, story.comments, commentsUrl, story.listing || null, canonicalUrl, existing.id]);
+    await recordLinkSource(existing.id, key, source, commentsUrl, story);
+    await recordSnapshot(existing.id, key, source, story, rank);
+    return { linkId: existing.id, storyKey: key, status: 'updated', linkSource: source };
+  }
+
+  // Already merged into a link first seen on another source, or new here but
+  // the same article as an existing link
+  const target = existing || await get('SELECT id, source FROM links WHERE canonical_url = ? ORDER BY id LIMIT 1', [canonicalUrl]);
+  if (target) {
+    await run(`UPDATE links SET last_seen_at = CURRENT_TIMESTAMP, times_appeared = times_appeared + 1 WHERE id = ?`, [target.id]);
+    await recordLinkSource(target.id, key, source, commentsUrl, story);
+    await recordSnapshot(target.id, key, source, story, rank);
+    return { linkId: target.id, storyKey: key, status: existing ? 'updated' : 'merged', linkSource: target.source };
+  }
+
+  const inserted = await run(`INSERT INTO links (
+    story_id, story_key, title, url, canonical_url, comments_url, source, listing, points, comments
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [legacyStoryId(story.id), key, story.title || 'Untitled', url, canonicalUrl, commentsUrl, source, story.listing || null, story.points, story.comments]);
+  await recordLinkSource(inserted.lastID, key, source, commentsUrl, story);
+  await recordSnapshot(inserted.lastID, key, source, story, rank);
+  return { linkId: inserted.lastID, storyKey: key, status: 'created', linkSource: source };
+}
+
+/**
+ * Insert or bump the link_sources row for one appearance
+ */
+function recordLinkSource(linkId, key, source, commentsUrl, story) {
+  return run(`INSERT INTO link_sources (link_id, source, story_key, story_id, comments_url, listing, points, comments)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(story_key) DO UPDATE SET
+      link_id = excluded.link_id,
+      comments_url = excluded.comments_url,
+      listing = COALESCE(excluded.listing, listing),
+      points = excluded.points,
+      comments = excluded.comments,
+      last_seen_at = CURRENT_TIMESTAMP,
+      times_appeared = times_appeared + 1`,
+    [linkId, source, key, legacyStoryId(story.id), commentsUrl, story.listing || null, story.points, story.comments]);
+}
+
+/**
+ * Add a story_snapshots row, unless nothing changed since the story's last one
+ * (the tray redraws from cached stories many times between fetches)
+ */
+async function recordSnapshot(linkId, key, source, story, rank) {
+  const points = story.points ?? null;
+  const comments = story.comments ?? null;
+  const last = await get(`SELECT points, comments, rank FROM story_snapshots
+    WHERE story_key = ? ORDER BY seen_at DESC, id DESC LIMIT 1`, [key]);
+  if (last && last.points === points && last.comments === comments && last.rank === rank) {
+    return;
+  }
+
+  await run(`INSERT INTO story_snapshots (link_id, story_key, source, listing, points, comments, rank)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [linkId, key, source, story.listing || null, points, comments, rank]);
+}
+
+/**
+ * Points, comments and rank over time for every story stored as a link, oldest first
+ * @param {number} linkId - links.id
+ * @returns {Promise<Array>} `{story_key, source, listing, points, comments, rank, seen_at}` rows
+ */
+function getStoryHistory(linkId) {
+  return all(`SELECT story_key, source, listing, points, comments, rank, seen_at
+    FROM story_snapshots WHERE link_id = ?
+    ORDER BY seen_at, id`, [linkId]);
+}
+
+// Snapshot timestamps are SQLite CURRENT_TIMESTAMP values, in UTC
+function parseTimestamp(value) {
+  return new Date(value.replace(' ', 'T') + 'Z').getTime();
+}
+
+/**
+ * Stories gaining points and comments fastest: the change per hour between
+ * a story's first and last snapshot within `window` ms. Stories seen for
+ * less than `minSpan` ms are left out, since a few minutes say little about
+ * a trend. Points aren't scaled between sources.
+ * @returns {Promise<Array>} The fastest source story per link, fastest first:
+ *   `{linkId, storyKey, id, source, title, url, comments_url, points, comments,
+ *   pointsPerHour, commentsPerHour, velocity, hours}`
+ */
+async function getRisingStories({ window = RISING_WINDOW, minSpan = RISING_MIN_SPAN, limit = 20 } = {}) {
+  const snapshots = await all(`SELECT story_key, link_id, source, points, comments, seen_at
+    FROM story_snapshots
+    WHERE seen_at >= datetime('now', ?)
+    ORDER BY seen_at, id`, [`-${Math.round(window / 1000)} seconds`]);
+
+  const byStory = new Map();
+  snapshots.forEach(snapshot => {
+    const series = byStory.get(snapshot.story_key);
+    if (series) {
+      series.last = snapshot;
+    } else {
+      byStory.set(snapshot.story_key, { first: snapshot, last: snapshot });
+    }
+  });
+
+  // Best story per link, so an article rising on two sources is listed once
+  const fastestByLink = new Map();
+  byStory.forEach(({ first, last }, key) => {
+    const spanMs = parseTimestamp(last.seen_at) - parseTimestamp(first.seen_at);
+    if (spanMs < minSpan) return;
+
+    const hours = spanMs / (60 * 60 * 1000);
+    const pointsPerHour = ((last.points || 0) - (first.points || 0)) / hours;
+    const commentsPerHour = ((last.comments || 0) - (first.comments || 0)) / hours;
+    const velocity = pointsPerHour + commentsPerHour;
+    if (velocity <= 0) return;
+
+    const current = fastestByLink.get(last.link_id);
+    if (!current || velocity > current.velocity) {
+      fastestByLink.set(last.link_id, {
+        linkId: last.link_id,
+        storyKey: key,
+        source: last.source,
+        points: last.points,
+        comments: last.comments,
+        pointsPerHour: Math.round(pointsPerHour * 10) / 10,
+        commentsPerHour: Math.round(commentsPerHour * 10) / 10,
+        velocity: Math.round(velocity * 10) / 10,
+        hours: Math.round(hours * 100) / 100
+      });
+    }
+  });
+
+  const rising = [...fastestByLink.values()]
+    .sort((a, b) => b.velocity - a.velocity)
+    .slice(0, limit);
+  if (rising.length === 0) {
+    return [];
+  }
+
+  // The rising source's own discussion, which may not be the link's primary one
+  const links = await all(`SELECT ls.story_key, l.title, l.url, ls.comments_url
+    FROM link_sources ls JOIN links l ON l.id = ls.link_id
+    WHERE ls.story_key IN (${rising.map(() => '?').join(', ')})`, rising.map(story => story.storyKey));
+  const linksByKey = new Map(links.map(link => [link.story_key, link]));
+
+  return rising
+    .filter(story => linksByKey.has(story.storyKey))
+    .map(story => {
+      const link = linksByKey.get(story.storyKey);
+      const key = parseStoryKey(story.storyKey);
+      return {
+        ...story,
+        id: key ? key.id : null,
+        title: link.title,
+        url: link.url,
+        comments_url: link.comments_url
+      };
+    });
+}
+
+/**
+ * Note that the user engaged with a story (expanded its submenu, tagged it)
+ * @returns {Promise<number>} Link id
+ */
+async function markStoryEngaged(storyId, source) {
+  const link = await requireStory(storyId, source);
+  await run(`UPDATE links SET
+    engaged = TRUE,
+    engaged_at = CURRENT_TIMESTAMP,
+    engagement_count = engagement_count + 1
+    WHERE id = ?`, [link.id]);
+  return link.id;
+}
+
+/**
+ * @returns {Promise<number>} Link id
+ */
+async function markStoryViewed(storyId, source) {
+  const link = await requireStory(storyId, source);
+  await run('UPDATE links SET viewed = TRUE, viewed_at = CURRENT_TIMESTAMP WHERE id = ?', [link.id]);
+  return link.id;
+}
+
+/**
+ * Save the archive.ph URL on the link and its most recent click
+ * @returns {Promise<number>} Link id
+ */
+async function setStoryArchiveUrl(storyId, source, archiveUrl) {
+  const link = await requireStory(storyId, source);
+  await run('UPDATE links SET archive_url = ? WHERE id = ?', [archiveUrl, link.id]);
+  await run(`UPDATE clicks SET archive_url = ? WHERE id = (
+    SELECT id FROM clicks WHERE link_id = ? ORDER BY clicked_at DESC LIMIT 1
+  )`, [archiveUrl, link.id]);
+  return link.id;
+}
+
+// A link with its click count, tags and every source it appeared on, as the REST API returns it
+const STORY_RESOURCE = `SELECT l.id, l.story_key, l.source, l.title, l.url, l.canonical_url, l.comments_url,
+    l.listing, l.points, l.comments, l.viewed, l.viewed_at, l.engaged, l.engaged_at, l.engagement_count,
+    l.archive_url, l.first_seen_at, l.last_seen_at, l.times_appeared,
+    (SELECT COUNT(*) FROM clicks c WHERE c.link_id = l.id) AS clicks,
+    (SELECT GROUP_CONCAT(t.tag, ',' ORDER BY t.tag) FROM tags t WHERE t.link_id = l.id) AS tags,
+    (SELECT GROUP_CONCAT(ls.source, ',' ORDER BY ls.first_seen_at, ls.id) FROM link_sources ls WHERE ls.link_id = l.id) AS sources
+  FROM links l`;
+
+const STORY_SORT_FIELDS = {
+  id: 'id',
+  title: 'title',
+  points: 'COALESCE(points, -1)',
+  comments: 'COALESCE(comments, -1)',
+  clicks: 'clicks',
+  times_appeared: 'times_appeared',
+  first_seen_at: 'first_seen_at',
+  last_seen_at: 'last_seen_at'
+};
+
+function toStoryResource(row) {
+  return {
+    ...row,
+    viewed: Boolean(row.viewed),
+    engaged: Boolean(row.engaged),
+    tags: row.tags ? row.tags.split(',') : [],
+    sources: row.sources ? row.sources.split(',') : [row.source]
+  };
+}
+
+/**
+ * Stories (links), a page at a time
+ * @param {Object} [options] - Filters `{source, tag, viewed, engaged}` (source
+ *   matches any source the link appeared on) and `{sort, cursor, limit}`, see paginate()
+ * @returns {Promise<Object>} `{items, nextCursor}`
+ */
+async function listStories({ source, tag, viewed, engaged, sort = '-last_seen_at', cursor, limit } = {}) {
+  const conditions = [];
+  const params = [];
+  if (source) {
+    conditions.push('l.id IN (SELECT link_id FROM link_sources WHERE source = ?)');
+    params.push(source);
+  }
+  if (tag) {
+    conditions.push('l.id IN (SELECT link_id FROM tags WHERE tag = ?)');
+    params.push(String(tag).trim().toLowerCase());
+  }
+  if (viewed !== undefined) {
+    conditions.push(viewed ? 'l.viewed' : 'NOT COALESCE(l.viewed, 0)');
+  }
+  if (engaged !== undefined) {
+    conditions.push(engaged ? 'l.engaged' : 'NOT COALESCE(l.engaged, 0)');
+  }
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const page = await paginate(STORY_RESOURCE + where, params, {
+    sortFields: STORY_SORT_FIELDS, key: 'id', sort, cursor, limit
+  });
+  return { items: page.items.map(toStoryResource), nextCursor: page.nextCursor };
+}
+
+/**
+ * One story by links.id, or by any of its story keys (`hn:40123456`)
+ * @returns {Promise<Object|null>}
+ */
+async function getStoryResource(id) {
+  const row = /^\d+$/.test(String(id)) ?
+    await get(`${STORY_RESOURCE} WHERE l.id = ?`, [parseInt(id)]) :
+    await get(`${STORY_RESOURCE} WHERE l.id = (SELECT link_id FROM link_sources WHERE story_key = ?) OR l.story_key = ? LIMIT 1`, [id, id]);
+  return row ? toStoryResource(row) : null;
+}
+
+async function requireStoryResource(id) {
+  const story = await getStoryResource(id);
+  if (!story) {
+    throw storyNotFound(id);
+  }
+  return story;
+}
+
+/**
+ * Change a story's title, viewed or engaged state or archive URL
+ * @param {number|string} id - links.id or a story key
+ * @param {Object} changes - Any of `{title, viewed, engaged, archive_url}`
+ * @returns {Promise<Object>} The updated story
+ */
+async function updateStory(id, changes) {
+  const story = await requireStoryResource(id);
+  const assignments = [];
+  const params = [];
+
+  if (changes.title !== undefined) {
+    assignments.push('title = ?');
+    params.push(changes.title);
+  }
+  if (changes.viewed !== undefined) {
+    assignments.push('viewed = ?', `viewed_at = ${changes.viewed ? 'COALESCE(viewed_at, CURRENT_TIMESTAMP)' : 'NULL'}`);
+    params.push(changes.viewed ? 1 : 0);
+  }
+  if (changes.engaged !== undefined) {
+    assignments.push('engaged = ?', `engaged_at = ${changes.engaged ? 'COALESCE(engaged_at, CURRENT_TIMESTAMP)' : 'NULL'}`);
+    params.push(changes.engaged ? 1 : 0);
+  }
+  if (changes.archive_url !== undefined) {
+    assignments.push('archive_url = ?');
+    params.push(changes.archive_url);
+  }
+
+  if (assignments.length > 0) {
+    await run(`UPDATE links SET ${assignments.join(', ')} WHERE id = ?`, [...params, story.id]);
+  }
+  return getStoryResource(story.id);
+}
+
+/**
+ * Delete a story with its tags, clicks, snapshots and source appearances.
+ * A source that shows it again later stores it as a new story.
+ * @param {number|string} id - links.id or a story key
+ * @returns {Promise<boolean>} Whether the story existed
+ */
+function deleteStory(id) {
+  const result = appearanceQueue.then(async () => {
+    const story = await getStoryResource(id);
+    if (!story) {
+      return false;
+    }
+
+    for (const table of ['tags', 'clicks', 'story_snapshots', 'link_sources']) {
+      await run(`DELETE FROM ${table} WHERE link_id = ?`, [story.id]);
+    }
+    await run('DELETE FROM links WHERE id = ?', [story.id]);
+    return true;
+  });
+  appearanceQueue = result.catch(() => {});
+  return result;
+}
+
+// Clicks
+
+/**
+ * Record a click on a story's article, comments or archive link
+ * @param {string} clickType - 'article', 'comments' or 'archive'
+ * @returns {Promise<Object>} `{id, linkId}`
+ */
+async function recordClick(storyId, source, clickType) {
+  const link = await requireStory(storyId, source);
+  const inserted = await run(`INSERT INTO clicks (story_id, story_key, title, url, link_id, click_type, clicked_at)
+    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [legacyStoryId(storyId), storyKey(source, storyId), link.title, link.url, link.id, clickType]);
+  return { id: inserted.lastID, linkId: link.id };
+}
+
+// Clicks with the source taken from their story key (older clicks have none)
+const CLICK_RESOURCE = `SELECT c.id, c.link_id, c.story_key,
+    CASE WHEN instr(c.story_key, ':') > 0 THEN substr(c.story_key, 1, instr(c.story_key, ':') - 1) END AS source,
+    c.click_type, c.title, c.url, c.comments_url, c.archive_url, c.points, c.comments, c.clicked_at
+  FROM clicks c`;
+
+/**
+ * Clicks, a page at a time
+ * @param {Object} [options] - Filters `{story, source, type, since, until}` (story is a
+ *   links.id, since/until are SQLite datetimes or dates) and `{sort, cursor, limit}`
+ * @returns {Promise<Object>} `{items, nextCursor}`
+ */
+function listClicks({ story, source, type, since, until, sort = '-clicked_at', cursor, limit } = {}) {
+  const conditions = [];
+  const params = [];
+  if (story !== undefined) {
+    conditions.push('c.link_id = ?');
+    params.push(story);
+  }
+  if (source) {
+    conditions.push('c.story_key LIKE ?');
+    params.push(`${source}:%`);
+  }
+  if (type) {
+    conditions.push('c.click_type = ?');
+    params.push(type);
+  }
+  if (since) {
+    conditions.push('c.clicked_at >= datetime(?)');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('c.clicked_at < datetime(?)');
+    params.push(until);
+  }
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  return paginate(CLICK_RESOURCE + where, params, {
+    sortFields: { id: 'id', clicked_at: 'clicked_at' }, key: 'id', sort, cursor, limit
+  });
+}
+
+// Tags
+
+/**
+ * Add tags to a story
+ * @returns {Promise<Object>} `{linkId, added, tags}`: the tags that were new, and all of the story's tags
+ */
+async function addTags(storyId, tags, source) {
+  const link = await requireStory(storyId, source);
+  return addTagsToLink(link.id, tags);
+}
+
+function cleanTagList(tags) {
+  return [...new Set((tags || []).filter(tag => tag).map(tag => String(tag).trim().toLowerCase()).filter(tag => tag))];
+}
+
+/**
+ * Add tags to a link by links.id
+ * @returns {Promise<Object>} `{linkId, added, tags}`
+ */
+async function addTagsToLink(linkId, tags) {
+  const cleanTags = cleanTagList(tags);
+
+  const before = await listTagsForLink(linkId);
+  if (cleanTags.length > 0) {
+    await run(`INSERT OR IGNORE INTO tags (link_id, tag) VALUES ${cleanTags.map(() => '(?, ?)').join(', ')}`,
+      cleanTags.flatMap(tag => [linkId, tag]));
+  }
+
+  return {
+    linkId: linkId,
+    added: cleanTags.filter(tag => !before.includes(tag)),
+    tags: await listTagsForLink(linkId)
+  };
+}
+
+/**
+ * Remove tags from a link by links.id
+ * @returns {Promise<Object>} `{linkId, removed, tags}`: the tags the link had, and what's left
+ */
+async function removeTagsFromLink(linkId, tags) {
+  const cleanTags = cleanTagList(tags);
+
+  const before = await listTagsForLink(linkId);
+  if (cleanTags.length > 0) {
+    await run(`DELETE FROM tags WHERE link_id = ? AND tag IN (${cleanTags.map(() => '?').join(', ')})`, [linkId, ...cleanTags]);
+  }
+
+  return {
+    linkId: linkId,
+    removed: cleanTags.filter(tag => before.includes(tag)),
+    tags: await listTagsForLink(linkId)
+  };
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the story had the tag
+ */
+async function removeTag(storyId, tag, source) {
+  const link = await requireStory(storyId, source);
+  const result = await run('DELETE FROM tags WHERE link_id = ? AND tag = ?', [link.id, String(tag).trim().toLowerCase()]);
+  return result.changes > 0;
+}
+
+/**
+ * A story's tags in the order they were added; empty for unknown stories
+ */
+async function getTags(storyId, source) {
+  const link = await findStory(storyId, source);
+  return link ? listTagsForLink(link.id) : [];
+}
+
+async function listTagsForLink(linkId) {
+  const rows = await all('SELECT tag FROM tags WHERE link_id = ? ORDER BY created_at, id', [linkId]);
+  return rows.map(row => row.tag);
+}
+
+/**
+ * Every tag in use, alphabetically
+ */
+async function getAllTags() {
+  const rows = await all('SELECT DISTINCT tag FROM tags ORDER BY tag');
+  return rows.map(row => row.tag);
+}
+
+/**
+ * Every tag with the number of links carrying it, most used first
+ */
+function getTagCounts() {
+  return all(`SELECT tag, COUNT(*) as count FROM tags GROUP BY tag ORDER BY count DESC, tag ASC`);
+}
+
+/**
+ * Tags with the number of links carrying them, a page at a time
+ * @param {Object} [options] - `{q}` to keep tags containing q, and `{sort, cursor, limit}`
+ * @returns {Promise<Object>} `{items, nextCursor}` of `{tag, count, first_used_at, last_used_at}`
+ */
+function listTags({ q, sort = '-count', cursor, limit } = {}) {
+  const where = q ? ' WHERE tag LIKE ?' : '';
+  const params = q ? [`%${String(q).trim().toLowerCase()}%`] : [];
+  return paginate(`SELECT tag, COUNT(*) AS count, MIN(created_at) AS first_used_at, MAX(created_at) AS last_used_at
+    FROM tags${where} GROUP BY tag`, params, {
+    sortFields: { tag: 'tag', count: 'count', last_used_at: 'last_used_at' }, key: 'tag', sort, cursor, limit
+  });
+}
+
+/**
+ * Stories with a tag containing any of the comma-separated terms
+ * @returns {Promise<Array>} Stories as the tray's search results show them, with their source's id and source
+ */
+async function searchStoriesByTags(tagQuery) {
+  const searchTags = (tagQuery || '').split(',').map(tag => tag.trim().toLowerCase()).filter(tag => tag);
+  if (searchTags.length === 0) {
+    return [];
+  }
+
+  const rows = await all(`
+    SELECT l.story_key, l.source, l.title, l.url, l.comments_url, l.points, l.comments, l.times_appeared, l.first_seen_at,
+      (SELECT GROUP_CONCAT(tag) FROM tags WHERE tags.link_id = l.id) AS tags
+    FROM links l
+    WHERE l.id IN (SELECT link_id FROM tags WHERE ${searchTags.map(() => 'tag LIKE ?').join(' OR ')})
+    ORDER BY l.times_appeared DESC, l.first_seen_at DESC
+    LIMIT 20`, searchTags.map(tag => `%${tag}%`));
+
+  return rows
+    .map(row => {
+      const key = parseStoryKey(row.story_key);
+      return {
+        id: key ? key.id : null,
+        source: row.source,
+        title: row.title,
+        url: row.url,
+        comments_url: row.comments_url,
+        points: row.points || 0,
+        comments: row.comments || 0,
+        tags: row.tags ? row.tags.split(',').sort() : [],
+        impression_count: row.times_appeared || 0,
+        first_seen_at: row.first_seen_at
+      };
+    })
+    .filter(story => story.url && story.url.trim());
+}
+
+/**
+ * @returns {Promise<number>} Number of tags removed
+ */
+async function clearTags() {
+  const result = await run('DELETE FROM tags');
+  return result.changes;
+}
+
+// Articles
+
+/**
+ * Save (or replace) an article's extracted content
+ * @returns {Promise<Object>} `{id}`
+ */
+async function saveArticle(articleData) {
+  const {
+    url, title, author, publishDate, content, textContent,
+    wordCount, readingTime, tags = null, notes = null
+  } = articleData;
+
+  const result = await run(`INSERT OR REPLACE INTO articles
+    (url, title, domain, author, publish_date, content, text_content, word_count, reading_time, tags, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [url, title, extractDomain(url), author, publishDate, content, textContent, wordCount, readingTime, tags, notes]);
+  return { id: result.lastID };
+}
+
+/**
+ * Save article text unless the URL is already stored, so click counts and
+ * notes on existing articles are left alone (used for source-supplied text
+ * such as arXiv abstracts)
+ * @returns {Promise<Object>} `{id, inserted}`
+ */
+async function saveArticleIfNew(articleData) {
+  const {
+    url, title, author = null, publishDate = null, textContent,
+    wordCount = null, readingTime = null, tags = null, description = null
+  } = articleData;
+
+  const result = await run(`INSERT OR IGNORE INTO articles
+    (url, title, domain, author, publish_date, content, text_content, word_count, reading_time, tags, description)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [url, title, extractDomain(url), author, publishDate, textContent, textContent, wordCount, readingTime, tags, description]);
+  return { id: result.lastID, inserted: result.changes > 0 };
+}
+
+/**
+ * Count a click on a saved article
+ * @returns {Promise<boolean>} Whether the article exists
+ */
+async function recordArticleClick(articleId) {
+  const result = await run(`UPDATE articles
+    SET click_count = click_count + 1, last_clicked_at = CURRENT_TIMESTAMP
+    WHERE id = ?`, [articleId]);
+  return result.changes > 0;
+}
+
+/**
+ * Saved articles, most clicked first
+ */
+function getArticles(limit = 50, offset = 0) {
+  return all(`SELECT * FROM articles
+    ORDER BY click_count DESC, saved_at DESC
+    LIMIT ? OFFSET ?`, [limit, offset]);
+}
+
+/**
+ * Full-text search over saved articles, best matches first, with a highlighted snippet
+ */
+function searchArticles(query) {
+  return all(`SELECT articles.*, snippet(articles_fts, -1, '<mark>', '</mark>', '...', 64) as snippet
+    FROM articles_fts
+    JOIN articles ON articles.id = articles_fts.rowid
+    WHERE articles_fts MATCH ?
+    ORDER BY rank
+    LIMIT 20`, [query]);
+}
+
+// Article columns for search results; content and text_content stay out, they can be megabytes
+const ARTICLE_SUMMARY_COLUMNS = `articles.id, articles.url, articles.title, articles.domain, articles.author,
+    articles.publish_date, articles.description, articles.tags, articles.word_count, articles.reading_time,
+    articles.click_count, articles.saved_at, articles.last_clicked_at, articles.archive_path`;
+
+// Word count ranges for the word_count facet: [label, minimum words]
+const WORD_COUNT_BUCKETS = [['<500', 0], ['500-2000', 500], ['2000-5000', 2000], ['5000+', 5000]];
+
+/**
+ * Saved articles matching full-text `q` (FTS5 syntax) and/or filters, a page
+ * at a time, with facet counts over every match
+ * @param {Object} [options]
+ * @param {string} [options.q] - Full-text query; without it, filters alone select articles
+ * @param {string} [options.domain] - Exact domain, e.g. 'example.com'
+ * @param {string} [options.tag] - One of the article's comma-separated tags, case-insensitive
+ * @param {string} [options.since] - Saved at or after this date/datetime
+ * @param {string} [options.until] - Saved before this date/datetime
+ * @param {number} [options.minWords] - At least this many words
+ * @param {number} [options.maxWords] - At most this many words
+ * @param {string} [options.sort] - relevance (needs q; the default with q), saved_at, word_count, clicks or id
+ * @returns {Promise<Object>} `{items, nextCursor, total, facets}`, facets being
+ *   `{domains, tags, word_count, months}` lists of `{value, count}`
+ */
+async function findArticles({ q, domain, tag, since, until, minWords, maxWords, sort, cursor, limit } = {}) {
+  const query = q ? String(q).trim() : '';
+  const conditions = [];
+  const params = [];
+  if (query) {
+    conditions.push('articles_fts MATCH ?');
+    params.push(query);
+  }
+  if (domain) {
+    conditions.push('articles.domain = ?');
+    params.push(domain);
+  }
+  if (tag) {
+    conditions.push(`(',' || REPLACE(LOWER(articles.tags), ' ', '') || ',') LIKE ?`);
+    params.push(`%,${String(tag).toLowerCase().replace(/ /g, '')},%`);
+  }
+  if (since) {
+    conditions.push('articles.saved_at >= datetime(?)');
+    params.push(since);
+  }
+  if (until) {
+    conditions.push('articles.saved_at < datetime(?)');
+    params.push(until);
+  }
+  if (minWords !== undefined) {
+    conditions.push('articles.word_count >= ?');
+    params.push(minWords);
+  }
+  if (maxWords !== undefined) {
+    conditions.push('articles.word_count <= ?');
+    params.push(maxWords);
+  }
+
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  const from = query ? 'articles_fts JOIN articles ON articles.id = articles_fts.rowid' : 'articles';
+  const matches = columns => `SELECT ${columns} FROM ${from}${where}`;
+
+  const sortOrder = sort || (query ? 'relevance' : '-saved_at');
+  const sortFields = {
+    saved_at: 'saved_at',
+    word_count: 'COALESCE(word_count, -1)',
+    clicks: 'click_count',
+    id: 'id'
+  };
+  if (query) {
+    // bm25 rank: lower is a better match, so relevance sorts ascending
+    sortFields.relevance = 'score';
+
+    // FTS5 query syntax errors are the caller's, not the database's
+    try {
+      await get('SELECT 1 FROM articles_fts WHERE articles_fts MATCH ? LIMIT 1', [query]);
+    } catch (error) {
+      throw invalidQuery(`Invalid search query: ${error.message}`);
+    }
+  }
+
+  const page = await paginate(matches(`${ARTICLE_SUMMARY_COLUMNS},
+    ${query ? `snippet(articles_fts, -1, '<mark>', '</mark>', '...', 64)` : 'NULL'} AS snippet,
+    ${query ? 'articles_fts.rank' : 'NULL'} AS score`), params, {
+    sortFields, key: 'id', sort: sortOrder, cursor, limit
+  });
+
+  const summary = matches('articles.domain, articles.tags, articles.word_count, articles.saved_at');
+  const [totals, domains, tagLists, wordCounts, months] = await Promise.all([
+    get(`SELECT COUNT(*) AS total FROM (${summary})`, params),
+    all(`SELECT domain AS value, COUNT(*) AS count FROM (${summary})
+      WHERE domain IS NOT NULL GROUP BY domain ORDER BY count DESC, domain LIMIT 20`, params),
+    all(`SELECT tags FROM (${summary}) WHERE tags IS NOT NULL AND tags != ''`, params),
+    all(`SELECT CASE ${WORD_COUNT_BUCKETS.slice(1).reverse().map(([label, min]) => `WHEN word_count >= ${min} THEN '${label}'`).join(' ')}
+        ELSE '${WORD_COUNT_BUCKETS[0][0]}' END AS value, COUNT(*) AS count
+      FROM (${summary}) WHERE word_count IS NOT NULL GROUP BY value`, params),
+    all(`SELECT strftime('%Y-%m', saved_at) AS value, COUNT(*) AS count FROM (${summary})
+      GROUP BY value ORDER BY value DESC LIMIT 24`, params)
+  ]);
+
+  // Tags are a comma-separated column, so they're counted here rather than in SQL
+  const tagCounts = new Map();
+  tagLists.forEach(row => {
+    new Set(row.tags.split(',').map(value => value.trim().toLowerCase()).filter(value => value)).forEach(value => {
+      tagCounts.set(value, (tagCounts.get(value) || 0) + 1);
+    });
+  });
+
+  return {
+    items: page.items,
+    nextCursor: page.nextCursor,
+    total: totals.total,
+    facets: {
+      domains: domains,
+      tags: [...tagCounts].map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, 20),
+      word_count: WORD_COUNT_BUCKETS
+        .map(([label]) => ({ value: label, count: (wordCounts.find(row => row.value === label) || { count: 0 }).count })),
+      months: months
+    }
+  };
+}
+
+function getArticleStats() {
+  return get(`SELECT
+    COUNT(*) as total_articles,
+    SUM(word_count) as total_words,
+    AVG(word_count) as avg_words,
+    COUNT(CASE WHEN saved_at > datetime('now', '-7 days') THEN 1 END) as week_articles,
+    COUNT(CASE WHEN saved_at > datetime('now', '-30 days') THEN 1 END) as month_articles
+    FROM articles`);
+}
+
+module.exports = {
+  useDatabase,
+  stories: {
+    find: findStory,
+    list: listStories,
+    get: getStoryResource,
+    update: updateStory,
+    remove: deleteStory,
+    recordAppearance,
+    history: getStoryHistory,
+    rising: getRisingStories,
+    markEngaged: markStoryEngaged,
+    markViewed: markStoryViewed,
+    setArchiveUrl: setStoryArchiveUrl
+  },
+  clicks: {
+    record: recordClick,
+    list: listClicks
+  },
+  tags: {
+    add: addTags,
+    remove: removeTag,
+    addToLink: addTagsToLink,
+    removeFromLink: removeTagsFromLink,
+    list: listTags,
+    get: getTags,
+    all: getAllTags,
+    counts: getTagCounts,
+    searchStories: searchStoriesByTags,
+    clear: clearTags
+  },
+  articles: {
+    save: saveArticle,
+    saveIfNew: saveArticleIfNew,
+    recordClick: recordArticleClick,
+    list: getArticles,
+    search: searchArticles,
+    find: findArticles,
+    stats: getArticleStats
+  }
+};
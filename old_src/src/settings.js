@@ -0,0 +1,101 @@
+/**
+ * User settings persisted as JSON in the data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataDir, DEFAULT_FEEDS, DEFAULT_SUBREDDITS } = require('./config');
+
+const DEFAULT_SETTINGS = {
+  feeds: DEFAULT_FEEDS,
+  hnLists: ['top'],
+  lobstersListing: 'hottest',
+  // Per-subreddit listing options: { name, sort, time, limit, minScore }
+  subreddits: DEFAULT_SUBREDDITS.map(name => ({ name: name.trim() })),
+  // Watched repositories as `owner/repo`
+  githubRepos: [],
+  githubTrending: false,
+  // arXiv categories such as 'cs.LG' or 'cs.PL'
+  arxivCategories: [],
+  // Mastodon timelines on MASTODON_INSTANCE: '#hashtag' or 'list:ID'
+  mastodonTimelines: [],
+  // Copy AI tags to existing Pinboard bookmarks when PINBOARD_API_TOKEN is set
+  pinboardSyncTags: true,
+  // Also save clicked links that aren't on Pinboard yet, as private bookmarks
+  pinboardCreateBookmarks: false,
+  // API clients as `{id, name, hash, createdAt, lastUsedAt}`, managed by api-tokens.js
+  apiTokens: [],
+  // Web page origins allowed to call the API from a browser, e.g. 'https://example.com'
+  apiAllowedOrigins: []
+};
+
+let settings = null;
+// Modification time of settings.json when `settings` was read, to notice edits by
+// another process (`server.js --create-token`) or by hand
+let settingsMtime = null;
+
+/**
+ * Location of settings.json (next to clicks.db and .env)
+ */
+function getSettingsPath() {
+  return path.join(getDataDir(), 'settings.json');
+}
+
+function readMtime(settingsPath) {
+  try {
+    return fs.statSync(settingsPath).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load settings from disk, falling back to defaults for missing keys.
+ * The file is read again whenever it has changed since the last read.
+ */
+function loadSettings() {
+  const settingsPath = getSettingsPath();
+  const mtime = readMtime(settingsPath);
+  if (settings && mtime === settingsMtime) return settings;
+
+  let stored = {};
+  try {
+    if (mtime !== null) {
+      stored = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    }
+  } catch (error) {
+    console.error('Error reading settings, using defaults:', error.message);
+  }
+
+  settings = { ...DEFAULT_SETTINGS, ...stored };
+  settingsMtime = mtime;
+  return settings;
+}
+
+/**
+ * Get a single setting value
+ */
+function getSetting(key) {
+  return loadSettings()[key];
+}
+
+/**
+ * Merge changes into the settings on disk and write them back
+ */
+function updateSettings(changes) {
+  settings = { ...loadSettings(), ...changes };
+
+  const settingsPath = getSettingsPath();
+  fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+  fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2));
+  settingsMtime = readMtime(settingsPath);
+  console.log('✅ Settings saved to:', settingsPath);
+
+  return settings;
+}
+
+module.exports = {
+  getSetting,
+  loadSettings,
+  updateSettings
+};
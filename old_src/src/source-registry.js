@@ -0,0 +1,283 @@
+/**
+ * Story source registry
+ *
+ * Every feed the tray shows is declared here once. The tray menu, link
+ * tracking and the database browser iterate this list instead of naming
+ * sources individually, so adding a feed only means registering it.
+ */
+
+const { CACHE_DURATION } = require('./config');
+const { canonicalizeUrl } = require('./canonical-url');
+const { HN_LISTS, fetchHNStories, fetchLobstersStories, fetchRedditStories } = require('./api-sources');
+const { fetchFeedStories } = require('./feed-source');
+const { fetchPinboardPopular, fetchMyPinboardStories } = require('./pinboard-source');
+const { fetchGitHubStories } = require('./github-source');
+const { fetchArxivStories } = require('./arxiv-source');
+const { fetchMastodonStories, listingLabels: mastodonListingLabels } = require('./mastodon-source');
+
+const sources = [];
+const sourceCache = {};
+
+/**
+ * Register a story source
+ * @param {Object} source - Source definition
+ * @param {string} source.id - Identifier stored in the database `source` column
+ * @param {string} source.name - Human readable name
+ * @param {string} source.emoji - Prefix for tray menu items
+ * @param {string} source.color - Badge color used by the database browser
+ * @param {Function} source.fetch - Async function resolving to `{id, title, url, points, comments}` stories
+ * @param {Function} source.getCommentsUrl - Returns the discussion URL for a story, or null
+ * @param {Function} [source.getArticleUrl] - Returns the URL to open for a story (defaults to `story.url`)
+ * @param {number} [source.cacheDuration] - How long fetched stories are reused in ms (0 refetches every time)
+ * @param {number} [source.menuLimit] - Maximum number of stories shown in the tray (per listing)
+ * @param {Object} [source.listingLabels] - Labels for the `story.listing` values a source can return
+ */
+function registerSource(source) {
+  if (!source.id || typeof source.fetch !== 'function') {
+    throw new Error('Story sources need an id and a fetch function');
+  }
+  if (getSource(source.id)) {
+    throw new Error(`Story source "${source.id}" is already registered`);
+  }
+
+  sources.push({
+    getArticleUrl: (story) => story.url,
+    getCommentsUrl: () => null,
+    cacheDuration: 0,
+    menuLimit: 10,
+    color: '#666',
+    listingLabels: {},
+    ...source
+  });
+}
+
+/**
+ * Look up a registered source by id
+ */
+function getSource(id) {
+  return sources.find(source => source.id === id) || null;
+}
+
+/**
+ * All registered sources in tray order
+ */
+function getSources() {
+  return sources.slice();
+}
+
+/**
+ * Fetch stories for a source, honoring its cache policy
+ */
+async function fetchSourceStories(source) {
+  const now = Date.now();
+  const cached = sourceCache[source.id];
+
+  if (cached && source.cacheDuration > 0 && (now - cached.timestamp) < source.cacheDuration) {
+    return cached.stories;
+  }
+
+  try {
+    const stories = await source.fetch();
+    sourceCache[source.id] = {
+      stories: stories,
+      timestamp: now
+    };
+    return stories;
+  } catch (error) {
+    console.error(`Error fetching ${source.name} stories:`, error);
+    return cached ? cached.stories : [];
+  }
+}
+
+/**
+ * Split stories by the listing they came from, keeping first-seen order
+ * @returns {Array<{listing: string|null, stories: Array}>}
+ */
+function groupByListing(stories) {
+  const groups = [];
+  stories.forEach(story => {
+    const listing = story.listing || null;
+    let group = groups.find(g => g.listing === listing);
+    if (!group) {
+      group = { listing, stories: [] };
+      groups.push(group);
+    }
+    group.stories.push(story);
+  });
+  return groups;
+}
+
+/**
+ * Fetch every registered source and keep the slice that fits in the menu.
+ * A link an earlier source already shows is folded into that story rather
+ * than listed again, so it doesn't use up this source's slots.
+ * @returns {Promise<Object>} `{sourceStories, duplicatesOf, ranks}`: per
+ *   source, the stories to show and the folded duplicates; for each shown
+ *   story the `{story, source}` duplicates folded into it; and for every
+ *   story its position in the listing it was fetched from (1 = top)
+ */
+async function fetchMenuStories() {
+  const sourceStories = [];
+  const shownByUrl = new Map();
+  const duplicatesOf = new Map();
+  const ranks = new Map();
+  for (const source of getSources()) {
+    const allSourceStories = await fetchSourceStories(source);
+    const stories = [];
+    const duplicates = [];
+    groupByListing(allSourceStories).forEach(group => {
+      let shown = 0;
+      group.stories.forEach((story, index) => {
+        if (shown >= source.menuLimit) return;
+        ranks.set(story, index + 1);
+        
+        const canonicalUrl = canonicalizeUrl(source.getArticleUrl(story));
+        const primary = canonicalUrl && shownByUrl.get(canonicalUrl);
+        if (primary) {
+          duplicatesOf.get(primary).push({ story, source });
+          duplicates.push(story);
+          return;
+        }
+        
+        if (canonicalUrl) shownByUrl.set(canonicalUrl, story);
+        duplicatesOf.set(story, []);
+        stories.push(story);
+        shown++;
+      });
+    });
+    console.log(`${source.name}: showing ${stories.length} of ${allSourceStories.length} fetched stories` +
+      (duplicates.length > 0 ? ` (${duplicates.length} already shown by another source)` : ''));
+    sourceStories.push({ source, stories, duplicates });
+  }
+  return { sourceStories, duplicatesOf, ranks };
+}
+
+/**
+ * Drop cached stories so the next fetch goes to the network
+ */
+function clearSourceCache(id) {
+  if (id) {
+    delete sourceCache[id];
+  } else {
+    Object.keys(sourceCache).forEach(key => delete sourceCache[key]);
+  }
+}
+
+registerSource({
+  id: 'hn',
+  name: 'Hacker News',
+  emoji: '🟠',
+  color: '#ff6600',
+  menuLimit: 13,
+  listingLabels: Object.fromEntries(Object.entries(HN_LISTS).map(([list, { label }]) => [list, label])),
+  fetch: fetchHNStories,
+  getCommentsUrl: (story) => typeof story.id === 'number' ?
+    `https://news.ycombinator.com/item?id=${story.id}` :
+    null
+});
+
+registerSource({
+  id: 'lobsters',
+  name: 'Lobsters',
+  emoji: '🦞',
+  color: '#ac130d',
+  menuLimit: 10,
+  cacheDuration: CACHE_DURATION,
+  listingLabels: { hottest: 'Hottest', newest: 'Newest' },
+  fetch: fetchLobstersStories,
+  getCommentsUrl: (story) => story.comments_url || `https://lobste.rs/s/${story.id}`
+});
+
+registerSource({
+  id: 'reddit',
+  name: 'Reddit',
+  emoji: '👽',
+  color: '#ff4500',
+  menuLimit: 15,
+  listingLabels: { hot: 'Hot', new: 'New', top: 'Top', rising: 'Rising' },
+  // Keep the mix stable for the cache window so the menu doesn't reshuffle under the cursor
+  cacheDuration: CACHE_DURATION,
+  fetch: fetchRedditStories,
+  getArticleUrl: (story) => story.is_self ? story.url : story.actual_url,
+  getCommentsUrl: (story) => story.url
+});
+
+registerSource({
+  id: 'pinboard',
+  name: 'Pinboard',
+  emoji: '📌',
+  color: '#0066cc',
+  menuLimit: 12,
+  cacheDuration: CACHE_DURATION,
+  fetch: fetchPinboardPopular
+});
+
+registerSource({
+  id: 'pinboard-mine',
+  name: 'My Pinboard',
+  emoji: '🔖',
+  color: '#003d7a',
+  menuLimit: 10,
+  cacheDuration: CACHE_DURATION,
+  listingLabels: { unread: 'Unread', recent: 'Recent' },
+  // Empty until PINBOARD_API_TOKEN is set
+  fetch: fetchMyPinboardStories
+});
+
+registerSource({
+  id: 'github',
+  name: 'GitHub',
+  emoji: '🐙',
+  color: '#24292f',
+  menuLimit: 10,
+  cacheDuration: CACHE_DURATION,
+  listingLabels: { releases: 'Releases', trending: 'Trending' },
+  fetch: fetchGitHubStories,
+  // Release notes for releases; trending repositories have no discussion
+  getCommentsUrl: (story) => story.comments_url || null
+});
+
+registerSource({
+  id: 'arxiv',
+  name: 'arXiv',
+  emoji: '📄',
+  color: '#b31b1b',
+  menuLimit: 10,
+  cacheDuration: CACHE_DURATION,
+  // Listings are category names, which double as labels
+  fetch: fetchArxivStories,
+  getCommentsUrl: (story) => story.comments_url
+});
+
+registerSource({
+  id: 'mastodon',
+  name: 'Mastodon',
+  emoji: '🐘',
+  color: '#6364ff',
+  menuLimit: 10,
+  cacheDuration: CACHE_DURATION,
+  listingLabels: mastodonListingLabels,
+  fetch: fetchMastodonStories,
+  getCommentsUrl: (story) => story.comments_url || null
+});
+
+registerSource({
+  id: 'feeds',
+  name: 'Feeds',
+  emoji: '📰',
+  color: '#2e7d32',
+  menuLimit: 10,
+  cacheDuration: CACHE_DURATION,
+  fetch: fetchFeedStories,
+  getCommentsUrl: (story) => story.comments_url || null
+});
+
+module.exports = {
+  registerSource,
+  getSource,
+  getSources,
+  fetchSourceStories,
+  fetchMenuStories,
+  groupByListing,
+  clearSourceCache
+};
@@ -0,0 +1,108 @@
+/**
+ * Story identity
+ *
+ * A story is identified by its source and the id the source itself uses,
+ * joined as `source:nativeId` (e.g. `hn:40123456`, `reddit:1c2d3e`,
+ * `arxiv:2401.01234`). Keys are stored as TEXT in the `story_key` columns.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Build the key for a story id as a source reports it
+ */
+function storyKey(source, nativeId) {
+  return `${source}:${nativeId}`;
+}
+
+/**
+ * Value for the legacy integer story_id columns, kept for older readers of
+ * the database. String ids are hashed and can collide, so lookups use
+ * story_key instead.
+ */
+function legacyStoryId(id) {
+  if (typeof id === 'number') return id;
+  const str = String(id);
+  let hash = 0;
+  for (let i = 0; i < str.length; i++) {
+    const char = str.charCodeAt(i);
+    hash = ((hash << 5) - hash) + char;
+    hash = hash & hash; // Convert to 32-bit integer
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * Split a key back into its source and native id
+ * @returns {{source: string, id: string}|null}
+ */
+function parseStoryKey(key) {
+  const separator = typeof key === 'string' ? key.indexOf(':') : -1;
+  if (separator <= 0) return null;
+  return { source: key.slice(0, separator), id: key.slice(separator + 1) };
+}
+
+/**
+ * Recover the native id of a row saved before story keys existed, from the
+ * URLs stored with it. Returns null when the row doesn't carry enough to
+ * tell (feeds, for example, namespace ids by a feed URL that isn't stored).
+ * @param {Object} row - `{source, story_id, url, comments_url}`
+ */
+function deriveNativeId(row) {
+  const urls = [row.comments_url, row.url].filter(Boolean);
+  const firstMatch = (pattern) => {
+    for (const url of urls) {
+      const match = pattern.exec(url);
+      if (match) return match;
+    }
+    return null;
+  };
+
+  switch (row.source) {
+    case 'hn':
+      return row.story_id ? String(row.story_id) : null;
+    case 'reddit': {
+      const match = firstMatch(/reddit\.com\/r\/[^/]+\/comments\/([a-z0-9]+)/i);
+      return match ? match[1] : null;
+    }
+    case 'lobsters': {
+      const match = firstMatch(/lobste\.rs\/s\/([a-z0-9]+)/i);
+      return match ? match[1] : null;
+    }
+    case 'pinboard':
+    case 'pinboard-mine':
+      // Pinboard's own URL hash, the id both Pinboard sources use
+      return row.url ? crypto.createHash('md5').update(row.url).digest('hex') : null;
+    case 'github': {
+      const release = /github\.com\/([^/]+\/[^/]+)\/tree\/(.+)$/i.exec(row.url || '');
+      if (release) return `${release[1]}@${decodeURIComponent(release[2])}`;
+      const repo = /github\.com\/([^/]+\/[^/#?]+)\/?$/i.exec(row.url || '');
+      return repo ? repo[1] : null;
+    }
+    case 'arxiv': {
+      const match = firstMatch(/arxiv\.org\/abs\/(.+?)(v\d+)?$/i);
+      return match ? match[1] : null;
+    }
+    case 'mastodon':
+      return row.comments_url || null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Key for a row saved before story keys existed, falling back to the old
+ * integer id when the native id can't be recovered
+ */
+function legacyStoryKey(row) {
+  const nativeId = deriveNativeId(row);
+  return nativeId ? storyKey(row.source, nativeId) : storyKey(row.source || 'unknown', `legacy-${row.story_id}`);
+}
+
+module.exports = {
+  storyKey,
+  legacyStoryId,
+  parseStoryKey,
+  deriveNativeId,
+  legacyStoryKey
+};
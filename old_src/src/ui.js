@@ -4,11 +4,13 @@
 
 const { BrowserWindow, shell } = require('electron');
 const { addTagToStory, getArticles, trackSavedArticleClick, getDatabase } = require('./database');
+const { getSources } = require('./source-registry');
+const { getAppToken, createToken, getBookmarklet } = require('./api-tokens');
 
 /**
  * Show custom tag input dialog
  */
-function promptForCustomTag(storyId, storyTitle) {
+function promptForCustomTag(storyId, storyTitle, source) {
   // Create a simple HTML form for tag input
   const tagInputWindow = new BrowserWindow({
     width: 400,
@@ -105,7 +107,7 @@ function promptForCustomTag(storyId, storyTitle) {
           const tag = tagInput.value.trim();
           
           if (tag) {
-            ipcRenderer.send('add-custom-tag', ${storyId}, tag);
+            ipcRenderer.send('add-custom-tag', ${JSON.stringify(storyId)}, tag);
             window.close();
           }
         }
@@ -134,14 +136,8 @@ function promptForCustomTag(storyId, storyTitle) {
   ipcMain.on('add-custom-tag', (event, storyId, tag) => {
     // Track engagement when user adds custom tag
     const { trackEngagement } = require('./database');
-    let source = 'unknown';
-    // Try to determine source - this is a best guess
-    if (storyTitle && storyTitle.includes('reddit')) source = 'reddit';
-    else if (typeof storyId === 'number') source = 'hn';
-    else source = 'pinboard';
-    
     trackEngagement(storyId, source);
-    addTagToStory(storyId, tag);
+    addTagToStory(storyId, tag, source);
     tagInputWindow.close();
     // Refresh the menu after adding the tag
     const { updateMenu } = require('./menu');
@@ -391,6 +387,8 @@ function showArticleLibrary() {
           </div>
 
           <script>
+            const API_TOKEN = ${JSON.stringify(getAppToken())};
+
             function openArchivedArticle(archivePath, originalUrl) {
               if (archivePath) {
                 const { shell } = require('electron');
@@ -441,6 +439,7 @@ function showArticleLibrary() {
                 const response = await fetch('http://127.0.0.1:3002/api/articles', {
                   method: 'POST',
                   headers: {
+                    'Authorization': 'Bearer ' + API_TOKEN,
                     'Content-Type': 'application/json',
                   },
                   body: JSON.stringify({
@@ -633,6 +632,309 @@ function promptForTagSearch(callback) {
   });
 }
 
+/**
+ * Show a one-entry-per-line list editor (feeds, subreddits)
+ * @param {Object} options - `{title, helpText, placeholder, values}`
+ * @param {Function} callback - Called with the non-empty, trimmed lines
+ */
+function promptForList(options, callback) {
+  const { title, helpText, placeholder, values } = options;
+  const listWindow = new BrowserWindow({
+    width: 560,
+    height: 360,
+    title: title,
+    resizable: false,
+    alwaysOnTop: true,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>${title}</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+          padding: 20px;
+          margin: 0;
+          background: #f8f9fa;
+        }
+        .container {
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h3 {
+          margin: 0 0 15px 0;
+          color: #333;
+        }
+        .help-text {
+          font-size: 12px;
+          color: #666;
+          margin-bottom: 15px;
+        }
+        textarea {
+          width: 100%;
+          height: 150px;
+          padding: 12px;
+          border: 2px solid #ddd;
+          border-radius: 6px;
+          font-size: 12px;
+          font-family: ui-monospace, Menlo, monospace;
+          margin-bottom: 15px;
+          box-sizing: border-box;
+          resize: none;
+        }
+        textarea:focus {
+          outline: none;
+          border-color: #007bff;
+        }
+        .buttons {
+          display: flex;
+          gap: 10px;
+          justify-content: flex-end;
+        }
+        button {
+          padding: 10px 20px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          background: white;
+          cursor: pointer;
+          font-size: 14px;
+        }
+        .btn-primary {
+          background: #007bff;
+          color: white;
+          border-color: #007bff;
+        }
+        .btn-primary:hover {
+          background: #0056b3;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <h3>${title}</h3>
+        <div class="help-text">${helpText}</div>
+        <textarea id="listInput" placeholder="${placeholder}">${values.join('\n')}</textarea>
+        <div class="buttons">
+          <button onclick="window.close()">Cancel</button>
+          <button class="btn-primary" onclick="saveList()">Save</button>
+        </div>
+      </div>
+      
+      <script>
+        const { ipcRenderer } = require('electron');
+        
+        function saveList() {
+          const values = document.getElementById('listInput').value
+            .split('\\n')
+            .map(line => line.trim())
+            .filter(line => line);
+          
+          ipcRenderer.send('save-list', values);
+          window.close();
+        }
+        
+        document.addEventListener('DOMContentLoaded', () => {
+          document.getElementById('listInput').focus();
+        });
+      </script>
+    </body>
+    </html>
+  `;
+
+  listWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+  
+  // Handle the save
+  const { ipcMain } = require('electron');
+  ipcMain.removeAllListeners('save-list'); // Remove previous listeners
+  ipcMain.on('save-list', (event, values) => {
+    callback(values);
+    listWindow.close();
+  });
+}
+
+/**
+ * Show the new API token window: name a client, then show its token and a
+ * bookmarklet once, since only the token's hash is kept
+ * @param {Function} callback - Called after a token has been created
+ */
+function promptForApiToken(callback) {
+  const tokenWindow = new BrowserWindow({
+    width: 560,
+    height: 400,
+    title: '🔑 New API Token',
+    resizable: false,
+    alwaysOnTop: true,
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false
+    }
+  });
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <title>🔑 New API Token</title>
+      <style>
+        body {
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif;
+          padding: 20px;
+          margin: 0;
+          background: #f8f9fa;
+        }
+        .container {
+          background: white;
+          padding: 20px;
+          border-radius: 8px;
+          box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+        h3 {
+          margin: 0 0 15px 0;
+          color: #333;
+        }
+        .help-text {
+          font-size: 12px;
+          color: #666;
+          margin-bottom: 15px;
+        }
+        input, textarea {
+          width: 100%;
+          padding: 12px;
+          border: 2px solid #ddd;
+          border-radius: 6px;
+          font-size: 12px;
+          font-family: ui-monospace, Menlo, monospace;
+          margin-bottom: 15px;
+          box-sizing: border-box;
+        }
+        textarea {
+          height: 60px;
+          resize: none;
+        }
+        input:focus {
+          outline: none;
+          border-color: #007bff;
+        }
+        .bookmarklet {
+          display: inline-block;
+          padding: 8px 14px;
+          margin-bottom: 15px;
+          background: #28a745;
+          color: white;
+          border-radius: 6px;
+          text-decoration: none;
+          font-size: 13px;
+        }
+        .buttons {
+          display: flex;
+          gap: 10px;
+          justify-content: flex-end;
+        }
+        button {
+          padding: 10px 20px;
+          border: 1px solid #ddd;
+          border-radius: 6px;
+          background: white;
+          cursor: pointer;
+          font-size: 14px;
+        }
+        .btn-primary {
+          background: #007bff;
+          color: white;
+          border-color: #007bff;
+        }
+        .btn-primary:hover {
+          background: #0056b3;
+        }
+        #created {
+          display: none;
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <div id="create">
+          <h3>🔑 New API Token</h3>
+          <div class="help-text">Name the client that will use it, e.g. "Laptop bookmarklet" or "Backup script"</div>
+          <input type="text" id="nameInput" placeholder="Client name" />
+          <div class="buttons">
+            <button onclick="window.close()">Cancel</button>
+            <button class="btn-primary" onclick="createToken()">Create</button>
+          </div>
+        </div>
+        <div id="created">
+          <h3>🔑 <span id="tokenName"></span></h3>
+          <div class="help-text">Copy the token now, it won't be shown again. Send it as <code>Authorization: Bearer &lt;token&gt;</code>.</div>
+          <input type="text" id="tokenOutput" readonly />
+          <div class="help-text">Or drag this bookmarklet to the bookmarks bar to save articles with this token:</div>
+          <a id="bookmarklet" class="bookmarklet" href="#">📚 Save to BOB</a>
+          <div class="buttons">
+            <button onclick="copyToken()">Copy Token</button>
+            <button class="btn-primary" onclick="window.close()">Done</button>
+          </div>
+        </div>
+      </div>
+      
+      <script>
+        const { ipcRenderer } = require('electron');
+        
+        function createToken() {
+          const name = document.getElementById('nameInput').value.trim();
+          if (name) {
+            ipcRenderer.send('create-api-token', name);
+          }
+        }
+        
+        function copyToken() {
+          navigator.clipboard.writeText(document.getElementById('tokenOutput').value);
+        }
+        
+        ipcRenderer.on('api-token-created', (event, result) => {
+          document.getElementById('tokenName').textContent = result.name;
+          document.getElementById('tokenOutput').value = result.token;
+          document.getElementById('bookmarklet').href = result.bookmarklet;
+          document.getElementById('create').style.display = 'none';
+          document.getElementById('created').style.display = 'block';
+          document.getElementById('tokenOutput').select();
+        });
+        
+        // Links in this window shouldn't navigate, the bookmarklet is only there to be dragged
+        document.getElementById('bookmarklet').addEventListener('click', (event) => event.preventDefault());
+        
+        document.addEventListener('DOMContentLoaded', () => {
+          document.getElementById('nameInput').focus();
+        });
+        
+        document.getElementById('nameInput').addEventListener('keypress', (e) => {
+          if (e.key === 'Enter') {
+            createToken();
+          }
+        });
+      </script>
+    </body>
+    </html>
+  `;
+
+  tokenWindow.loadURL(`data:text/html;charset=utf-8,${encodeURIComponent(html)}`);
+  
+  // Create the token in the main process, where settings.json is written
+  const { ipcMain } = require('electron');
+  ipcMain.removeAllListeners('create-api-token'); // Remove previous listeners
+  ipcMain.on('create-api-token', (event, name) => {
+    const created = createToken(name);
+    event.reply('api-token-created', { ...created, bookmarklet: getBookmarklet(created.token) });
+    callback(created);
+  });
+}
+
 /**
  * Show database browser window with click history
  */
@@ -658,6 +960,9 @@ function showDatabaseBrowser() {
       return;
     }
 
+    // Source filter buttons and badges come from the source registry
+    const sources = getSources();
+
     // Load the enhanced database browser interface
     const html = `
       <!DOCTYPE html>
@@ -811,9 +1116,7 @@ function showDatabaseBrowser() {
             text-transform: uppercase;
             color: white;
           }
-          .source-hn { background: #ff6600; }
-          .source-reddit { background: #ff4500; }
-          .source-pinboard { background: #0066cc; }
+          ${sources.map(source => `.source-${source.id} { background: ${source.color}; }`).join('\n          ')}
           .source-unknown { background: #666; }
           .meta {
             font-size: 10px;
@@ -875,6 +1178,23 @@ function showDatabaseBrowser() {
             color: #666;
             font-weight: normal;
           }
+          .sparkline {
+            vertical-align: middle;
+            cursor: pointer;
+          }
+          .sparkline polyline {
+            fill: none;
+            stroke: #1976d2;
+            stroke-width: 1;
+          }
+          .sparkline.rising polyline {
+            stroke: #2e7d32;
+          }
+          .history-row td {
+            background: #fafafa;
+            font-size: 9px;
+            color: #666;
+          }
         </style>
       </head>
       <body>
@@ -893,9 +1213,7 @@ function showDatabaseBrowser() {
         </div>
         
         <div class="source-filters">
-          <button class="source-btn" onclick="filterBySource('reddit')">REDDIT</button>
-          <button class="source-btn" onclick="filterBySource('hn')">HN</button>
-          <button class="source-btn" onclick="filterBySource('pinboard')">PINBOARD</button>
+          ${sources.map(source => `<button class="source-btn" onclick="filterBySource('${source.id}')">${source.name}</button>`).join('\n          ')}
           <button class="source-btn active" onclick="clearSourceFilter()">ALL SOURCES</button>
         </div>
         
@@ -912,6 +1230,7 @@ function showDatabaseBrowser() {
 
         <script>
           const { shell } = require('electron');
+          const API_TOKEN = ${JSON.stringify(getAppToken())};
           
           let currentLinks = []; // Store current results for filtering
           let currentTitle = ''; // Store current result set title
@@ -954,6 +1273,7 @@ function showDatabaseBrowser() {
             fetch('http://127.0.0.1:3002/api/database/track-click', {
               method: 'POST',
               headers: {
+                'Authorization': 'Bearer ' + API_TOKEN,
                 'Content-Type': 'application/json',
               },
               body: JSON.stringify({
@@ -965,6 +1285,56 @@ function showDatabaseBrowser() {
             }).catch(err => console.error('Error tracking click:', err));
           }
           
+          // The id the link's source uses, from its \`source:id\` story key
+          function nativeStoryId(link) {
+            return link.story_key ? link.story_key.slice(link.source.length + 1) : link.story_id;
+          }
+          
+          // Points at each snapshot as a small line, green when the story was rising; click for the full history
+          function sparkline(link) {
+            const points = link.points_history ? link.points_history.split(',').map(Number) : [];
+            if (points.length < 2) return '';
+            
+            const width = 60;
+            const height = 14;
+            const min = Math.min(...points);
+            const range = Math.max(...points) - min || 1;
+            const coords = points.map((value, i) =>
+              (i / (points.length - 1) * width).toFixed(1) + ',' + (height - 1 - (value - min) / range * (height - 2)).toFixed(1)
+            ).join(' ');
+            const first = points[0];
+            const last = points[points.length - 1];
+            
+            return \`<svg class="sparkline \${last > first ? 'rising' : ''}" width="\${width}" height="\${height}" onclick="toggleHistory(this, \${link.id})">
+              <title>\${first} → \${last} pts over \${points.length} snapshots</title>
+              <polyline points="\${coords}"/>
+            </svg>\`;
+          }
+          
+          async function toggleHistory(svg, linkId) {
+            const row = svg.closest('tr');
+            const next = row.nextElementSibling;
+            if (next && next.classList.contains('history-row')) {
+              next.remove();
+              return;
+            }
+            
+            try {
+              const response = await fetch('http://127.0.0.1:3002/api/database/links/' + linkId + '/history', {
+                headers: { 'Authorization': 'Bearer ' + API_TOKEN }
+              });
+              const data = await response.json();
+              const historyRow = document.createElement('tr');
+              historyRow.className = 'history-row';
+              historyRow.innerHTML = \`<td colspan="4">\${data.snapshots.map(snapshot =>
+                \`\${formatDate(snapshot.seen_at)} [\${snapshot.source}] \${snapshot.points ?? '-'} pts, \${snapshot.comments ?? '-'} comments\${snapshot.rank ? ', #' + snapshot.rank : ''}\`
+              ).join('<br>')}</td>\`;
+              row.after(historyRow);
+            } catch (error) {
+              console.error('Error loading story history:', error);
+            }
+          }
+          
           function truncateTitle(title, maxLength = 100) {
             if (!title) return 'Untitled';
             return title.length > maxLength ? title.substring(0, maxLength) + '...' : title;
@@ -1023,13 +1393,14 @@ function showDatabaseBrowser() {
                     return \`
                       <tr>
                         <td>
-                          <a href="#" onclick="openLink('\${link.url}', '\${link.story_id}', '\${link.source}', '\${link.title.replace(/'/g, "\\'")}')\" class="title-link \${titleClass}">
+                          <a href="#" onclick="openLink('\${link.url}', '\${nativeStoryId(link)}', '\${link.source}', '\${link.title.replace(/'/g, "\\'")}')\" class="title-link \${titleClass}">
                             \${truncateTitle(link.title)}
                           </a>
-                          \${hasComments ? \`<a href="#" onclick="openLink('\${link.comments_url}', '\${link.story_id}', '\${link.source}', '\${link.title.replace(/'/g, "\\'")}')\" class="comments-link">[comments]</a>\` : ''}
+                          \${hasComments ? \`<a href="#" onclick="openLink('\${link.comments_url}', '\${nativeStoryId(link)}', '\${link.source}', '\${link.title.replace(/'/g, "\\'")}')\" class="comments-link">[comments]</a>\` : ''}
                         </td>
                         <td>
-                          <span class="source-badge \${sourceClass}">\${link.source || 'unknown'}</span>
+                          <span class="source-badge \${sourceClass}">\${link.source || 'unknown'}\${link.listing ? ' · ' + link.listing : ''}</span>
+                          \${(link.also_seen_on ? link.also_seen_on.split(',') : []).map(other => \`<span class="source-badge source-\${other}">\${other}</span>\`).join(' ')}
                         </td>
                         <td>
                           <div class="stats">
@@ -1037,6 +1408,7 @@ function showDatabaseBrowser() {
                             \${link.engagement_count > 0 ? \`<span class="stat">\${link.engagement_count} engaged</span>\` : ''}
                             \${link.times_appeared > 1 ? \`<span class="stat">seen \${link.times_appeared}x</span>\` : ''}
                             \${link.points ? \`<span class="stat">\${link.points} pts</span>\` : ''}
+                            \${sparkline(link)}
                           </div>
                         </td>
                         <td>
@@ -1058,7 +1430,9 @@ function showDatabaseBrowser() {
           
           async function fetchData(endpoint) {
             try {
-              const response = await fetch('http://127.0.0.1:3002' + endpoint);
+              const response = await fetch('http://127.0.0.1:3002' + endpoint, {
+                headers: { 'Authorization': 'Bearer ' + API_TOKEN }
+              });
               if (!response.ok) {
                 throw new Error(\`HTTP \${response.status}: \${response.statusText}\`);
               }
@@ -1073,7 +1447,9 @@ function showDatabaseBrowser() {
           
           async function loadTags() {
             try {
-              const response = await fetch('http://127.0.0.1:3002/api/database/tags');
+              const response = await fetch('http://127.0.0.1:3002/api/database/tags', {
+                headers: { 'Authorization': 'Bearer ' + API_TOKEN }
+              });
               if (!response.ok) {
                 throw new Error(\`HTTP \${response.status}: \${response.statusText}\`);
               }
@@ -1192,7 +1568,7 @@ function showDatabaseBrowser() {
             }
             
             const filteredLinks = currentLinks.filter(link => {
-              return link.source === source;
+              return link.source === source || (link.also_seen_on || '').split(',').includes(source);
             });
             
             renderFilteredResults(filteredLinks, \`\${currentTitle} (\${source.toUpperCase()} only)\`);
@@ -1245,7 +1621,8 @@ function showDatabaseBrowser() {
                           \${hasComments ? \`<a href="#" onclick="openLink('\${link.comments_url}')" class="comments-link">[comments]</a>\` : ''}
                         </td>
                         <td>
-                          <span class="source-badge \${sourceClass}">\${link.source || 'unknown'}</span>
+                          <span class="source-badge \${sourceClass}">\${link.source || 'unknown'}\${link.listing ? ' · ' + link.listing : ''}</span>
+                          \${(link.also_seen_on ? link.also_seen_on.split(',') : []).map(other => \`<span class="source-badge source-\${other}">\${other}</span>\`).join(' ')}
                         </td>
                         <td>
                           <div class="stats">
@@ -1253,6 +1630,7 @@ function showDatabaseBrowser() {
                             \${link.engagement_count > 0 ? \`<span class="stat">\${link.engagement_count} engaged</span>\` : ''}
                             \${link.times_appeared > 1 ? \`<span class="stat">seen \${link.times_appeared}x</span>\` : ''}
                             \${link.points ? \`<span class="stat">\${link.points} pts</span>\` : ''}
+                            \${sparkline(link)}
                           </div>
                         </td>
                         <td>
@@ -1447,6 +1825,7 @@ function showArticleBrowser() {
 
           <script>
             const { shell } = require('electron');
+            const API_TOKEN = ${JSON.stringify(getAppToken())};
 
             function formatDate(dateString) {
               if (!dateString) return 'Unknown';
@@ -1468,7 +1847,8 @@ function showArticleBrowser() {
             function trackAndOpenArticle(articleId, url) {
               // Track the click
               fetch('http://127.0.0.1:3002/api/articles/' + articleId + '/click', { 
-                method: 'POST' 
+                method: 'POST',
+                headers: { 'Authorization': 'Bearer ' + API_TOKEN }
               }).catch(err => console.error('Error tracking click:', err));
               
               // Open the URL
@@ -1520,6 +1900,8 @@ module.exports = {
   promptForCustomTag,
   showArticleLibrary,
   promptForTagSearch,
+  promptForList,
+  promptForApiToken,
   showDatabaseBrowser,
   showArticleBrowser
 };
\ No newline at end of file
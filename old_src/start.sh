@@ -9,8 +9,8 @@ echo "🚀 Starting Reading Tracker..."
 echo ""
 
 # Check if we're in the right directory
-if [ ! -f "main.js" ]; then
-    echo "❌ Error: main.js not found. Please run this script from the mac_hn directory."
+if [ ! -f "server.js" ]; then
+    echo "❌ Error: server.js not found. Please run this script from the mac_hn directory."
     exit 1
 fi
 
@@ -29,17 +29,20 @@ fi
 
 # Kill any existing node processes for this project
 echo "🧹 Cleaning up any existing processes..."
-pkill -f "node main.js" 2>/dev/null || true
+pkill -f "node server.js" 2>/dev/null || true
 sleep 2
 
 # Start the server
-echo "🖥️  Starting Reading Tracker server..."
-echo "   - HTTP API: http://127.0.0.1:3002"
-echo "   - HTTPS API: https://127.0.0.1:3003"
+echo "🖥️  Starting Reading Tracker server (headless, no Electron)..."
+echo "   - HTTP API: http://${API_HOST:-127.0.0.1}:${API_PORT:-3002}"
+echo "   - HTTPS API: https://${API_HOST:-127.0.0.1}:${HTTPS_PORT:-3003}"
+if [ -n "$DATA_DIR" ]; then
+    echo "   - Data directory: $DATA_DIR"
+fi
 echo ""
 
-# Start in background and capture PID
-NODE_ENV=server node main.js &
+# Start in background and capture PID (extra arguments such as --data-dir are passed through)
+node server.js "$@" &
 SERVER_PID=$!
 
 # Wait a moment for server to start
@@ -50,29 +53,26 @@ if kill -0 $SERVER_PID 2>/dev/null; then
     echo "✅ Server started successfully (PID: $SERVER_PID)"
     echo ""
     echo "📖 Bookmarklet Setup:"
-    echo "   1. Open: file://$(pwd)/reader-confirm-bookmarklet.html"
-    echo "   2. Copy the bookmarklet code"
+    echo "   1. Create an API token: node server.js $* --create-token \"My browser\""
+    echo "   2. Copy the bookmarklet code it prints"
     echo "   3. Create a new bookmark in Safari and paste the code as URL"
     echo ""
     echo "🧪 Testing:"
     echo "   1. Visit any article (try news.ycombinator.com)"
-    echo "   2. Switch to Reader View"
-    echo "   3. Click your bookmarklet"
+    echo "   2. Click your bookmarklet, a popup confirms the save"
+    echo ""
+    echo "🔑 API requests need the token too:"
+    echo "   curl -H \"Authorization: Bearer <token>\" http://127.0.0.1:${API_PORT:-3002}/api/articles"
     echo ""
     echo "📊 Check saved articles:"
-    echo "   sqlite3 clicks.db \"SELECT title, word_count FROM articles ORDER BY id DESC LIMIT 5;\""
+    echo "   sqlite3 <data directory>/clicks.db \"SELECT title, word_count FROM articles ORDER BY id DESC LIMIT 5;\""
+    echo "   (the server logs its data directory on startup)"
     echo ""
     echo "🛑 To stop the server:"
     echo "   kill $SERVER_PID"
     echo "   OR press Ctrl+C if running in foreground"
     echo ""
     
-    # Open the bookmarklet setup page
-    if command -v open &> /dev/null; then
-        echo "🌐 Opening bookmarklet setup page..."
-        open "file://$(pwd)/reader-confirm-bookmarklet.html"
-    fi
-    
     # Keep script running so we can see server logs
     echo "💡 Server logs (press Ctrl+C to stop):"
     echo "----------------------------------------"